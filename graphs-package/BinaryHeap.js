@@ -0,0 +1,101 @@
+// Indexed binary min-heap: each item sits in the heap at most once and its
+// position is tracked, so a queued item's priority can be lowered in O(log n)
+class BinaryHeap {
+  constructor() {
+    this.items = [];
+    this.priorities = [];
+    this.positions = new Map();
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  isEmpty() {
+    return this.items.length === 0;
+  }
+
+  has(item) {
+    return this.positions.has(item);
+  }
+
+  priorityOf(item) {
+    const index = this.positions.get(item);
+    return index === undefined ? undefined : this.priorities[index];
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item, priority) {
+    if (this.positions.has(item)) {
+      throw new Error("Item is already queued, use decreaseKey() to change its priority");
+    }
+    this.items.push(item);
+    this.priorities.push(priority);
+    this.positions.set(item, this.items.length - 1);
+    this.siftUp(this.items.length - 1);
+  }
+
+  decreaseKey(item, priority) {
+    const index = this.positions.get(item);
+    if (index === undefined) {
+      throw new Error("Item is not queued");
+    }
+    if (priority > this.priorities[index]) {
+      throw new RangeError("decreaseKey() cannot raise an item's priority");
+    }
+    this.priorities[index] = priority;
+    this.siftUp(index);
+  }
+
+  pop() {
+    if (this.items.length === 0) {
+      return undefined;
+    }
+    const top = this.items[0];
+    const lastItem = this.items.pop();
+    const lastPriority = this.priorities.pop();
+    this.positions.delete(top);
+    if (this.items.length > 0) {
+      this.items[0] = lastItem;
+      this.priorities[0] = lastPriority;
+      this.positions.set(lastItem, 0);
+      this.siftDown(0);
+    }
+    return top;
+  }
+
+  siftUp(index) {
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.priorities[parent] <= this.priorities[index]) break;
+      this.swap(index, parent);
+      index = parent;
+    }
+  }
+
+  siftDown(index) {
+    const length = this.items.length;
+    for (;;) {
+      const left = 2 * index + 1;
+      const right = left + 1;
+      let smallest = index;
+      if (left < length && this.priorities[left] < this.priorities[smallest]) smallest = left;
+      if (right < length && this.priorities[right] < this.priorities[smallest]) smallest = right;
+      if (smallest === index) break;
+      this.swap(index, smallest);
+      index = smallest;
+    }
+  }
+
+  swap(i, j) {
+    [this.items[i], this.items[j]] = [this.items[j], this.items[i]];
+    [this.priorities[i], this.priorities[j]] = [this.priorities[j], this.priorities[i]];
+    this.positions.set(this.items[i], i);
+    this.positions.set(this.items[j], j);
+  }
+}
+
+export default BinaryHeap;
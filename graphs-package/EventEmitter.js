@@ -0,0 +1,70 @@
+class EventEmitter {
+  constructor() {
+    this.eventListeners = new Map();
+  }
+
+  on(event, listener) {
+    if (typeof listener !== "function") {
+      throw new TypeError("Listener must be a function");
+    }
+    if (!this.eventListeners.has(event)) {
+      this.eventListeners.set(event, []);
+    }
+    this.eventListeners.get(event).push(listener);
+    return this;
+  }
+
+  once(event, listener) {
+    if (typeof listener !== "function") {
+      throw new TypeError("Listener must be a function");
+    }
+    const wrapper = (payload) => {
+      this.off(event, wrapper);
+      listener.call(this, payload);
+    };
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
+  }
+
+  off(event, listener) {
+    if (listener === undefined) {
+      if (event === undefined) {
+        this.eventListeners.clear();
+      } else {
+        this.eventListeners.delete(event);
+      }
+      return this;
+    }
+    const registered = this.eventListeners.get(event);
+    if (!registered) {
+      return this;
+    }
+    const index = registered.findIndex((entry) => entry === listener || entry.listener === listener);
+    if (index !== -1) {
+      registered.splice(index, 1);
+    }
+    if (registered.length === 0) {
+      this.eventListeners.delete(event);
+    }
+    return this;
+  }
+
+  emit(event, payload) {
+    const registered = this.eventListeners.get(event);
+    if (!registered) {
+      return false;
+    }
+    // Copy so listeners that unsubscribe while running don't skip their neighbours
+    for (const listener of registered.slice()) {
+      listener.call(this, payload);
+    }
+    return true;
+  }
+
+  listenerCount(event) {
+    const registered = this.eventListeners.get(event);
+    return registered ? registered.length : 0;
+  }
+}
+
+export default EventEmitter;
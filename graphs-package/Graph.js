@@ -1,141 +1,1864 @@
-class Graph {
-  constructor(isDirected = false, isWeighted = false) {
+import EventEmitter from "./EventEmitter.js";
+import GraphView from "./GraphView.js";
+import BinaryHeap from "./BinaryHeap.js";
+
+const JSON_FORMAT = "graphijs";
+const JSON_FORMAT_VERSION = 1;
+const DEFAULT_HISTORY_DEPTH = 100;
+
+const WEIGHT_MERGES = {
+  min: Math.min,
+  max: Math.max,
+  sum: (weight1, weight2) => weight1 + weight2,
+  first: (weight1) => weight1,
+  second: (weight1, weight2) => weight2,
+};
+
+const EARTH_RADIUS_KM = 6371;
+
+// A* heuristics: (nodeAttributes, goalAttributes, nodeKey, goalKey) => estimated remaining cost
+const HEURISTICS = {
+  euclidean: (node, goal, key, goalKey) => {
+    const [x1, y1, x2, y2] = coordinates(node, goal, ["x", "y"], key, goalKey);
+    return Math.hypot(x2 - x1, y2 - y1);
+  },
+  manhattan: (node, goal, key, goalKey) => {
+    const [x1, y1, x2, y2] = coordinates(node, goal, ["x", "y"], key, goalKey);
+    return Math.abs(x2 - x1) + Math.abs(y2 - y1);
+  },
+  // Great-circle distance in kilometres, so link weights should be kilometres too
+  haversine: (node, goal, key, goalKey) => {
+    const [lat1, lng1, lat2, lng2] = coordinates(node, goal, ["lat", "lng"], key, goalKey).map(
+      (degrees) => (degrees * Math.PI) / 180
+    );
+    const a = Math.sin((lat2 - lat1) / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin((lng2 - lng1) / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+  },
+};
+
+function coordinates(node, goal, names, key, goalKey) {
+  const values = [];
+  for (const [attributes, owner] of [[node, key], [goal, goalKey]]) {
+    for (const name of names) {
+      if (typeof attributes[name] !== "number") {
+        throw new TypeError(`Node '${owner}' needs numeric ${names.join("/")} attributes for this heuristic`);
+      }
+      values.push(attributes[name]);
+    }
+  }
+  return values;
+}
+
+function identityOf(graph, key) {
+  return graph.keyFn ? graph.keyFn(key) : key;
+}
+
+function idOf(graph, key) {
+  return graph.keyToIdTable.get(identityOf(graph, key));
+}
+
+function keysOf(graph, ids) {
+  const result = [];
+  for (const id of ids) {
+    result.push(graph.idToKeyTable.get(id));
+  }
+  return result;
+}
+
+function attachEdge(adjacency, fromId, toId, edge) {
+  const row = adjacency.get(fromId);
+  if (!row.has(toId)) {
+    row.set(toId, new Map());
+  }
+  row.get(toId).set(edge.id, edge);
+}
+
+function detachEdge(adjacency, fromId, toId, edgeId) {
+  const row = adjacency.get(fromId);
+  const parallel = row.get(toId);
+  parallel.delete(edgeId);
+  if (parallel.size === 0) {
+    row.delete(toId);
+  }
+}
+
+function countEdges(row) {
+  let count = 0;
+  for (const parallel of row.values()) {
+    count += parallel.size;
+  }
+  return count;
+}
+
+function countSelfLoops(row, id) {
+  return row.has(id) ? row.get(id).size : 0;
+}
+
+function lightestWeight(parallel) {
+  let weight = Infinity;
+  for (const edge of parallel.values()) {
+    if (edge.weight < weight) {
+      weight = edge.weight;
+    }
+  }
+  return weight;
+}
+
+function insertEdge(graph, key1, key2, weight, attrs, edgeId) {
+  if (!graph.allowSelfLoops && identityOf(graph, key1) === identityOf(graph, key2)) {
+    return null;
+  }
+  if (!graph.isMulti && graph.hasLink(key1, key2)) {
+    return null;
+  }
+  weight = validateWeight(graph, weight);
+  if (edgeId === undefined) {
+    edgeId = `e${graph.edgeCounter++}`;
+  } else if (graph.edgeTable.has(edgeId)) {
+    throw new Error(`Duplicate edge id '${edgeId}'`);
+  } else {
+    // Keep generated ids clear of restored ones
+    const match = /^e(\d+)$/.exec(edgeId);
+    if (match) {
+      graph.edgeCounter = Math.max(graph.edgeCounter, Number(match[1]) + 1);
+    }
+  }
+  if (!graph.hasNode(key1)) {
+    graph.addNode(key1);
+  }
+  if (!graph.hasNode(key2)) {
+    graph.addNode(key2);
+  }
+  const edge = {
+    id: edgeId,
+    source: idOf(graph, key1),
+    target: idOf(graph, key2),
+    weight,
+    attributes: { ...attrs },
+  };
+  graph.edgeTable.set(edge.id, edge);
+  attachEdge(graph.links, edge.source, edge.target, edge);
+  if (graph.isDirected) {
+    attachEdge(graph.reverseLinks, edge.target, edge.source, edge);
+  } else {
+    attachEdge(graph.links, edge.target, edge.source, edge);
+  }
+  notify(graph, "linkAdded", edgeRecord(graph, edge));
+  return edge.id;
+}
+
+function firstEdge(graph, key1, key2) {
+  return graph.links.get(idOf(graph, key1)).get(idOf(graph, key2)).values().next().value;
+}
+
+function edgeRecord(graph, edge) {
+  return {
+    id: edge.id,
+    source: graph.idToKeyTable.get(edge.source),
+    target: graph.idToKeyTable.get(edge.target),
+    weight: edge.weight,
+    attributes: { ...edge.attributes },
+  };
+}
+
+function notify(graph, event, payload) {
+  if (!graph.replaying) {
+    if (graph.pendingChanges !== null) {
+      graph.pendingChanges.push({ event, payload });
+    } else {
+      commitChanges(graph, [{ event, payload }]);
+    }
+  }
+  graph.emit(event, payload);
+}
+
+function commitChanges(graph, changes) {
+  if (graph.history === null || changes.length === 0) {
+    return;
+  }
+  const { undoStack, depth } = graph.history;
+  undoStack.push(changes);
+  if (undoStack.length > depth) {
+    undoStack.splice(0, undoStack.length - depth);
+  }
+  graph.history.redoStack = [];
+}
+
+// Groups the events of one compound mutation into a single undo step
+function batch(graph, fn) {
+  if (graph.pendingChanges !== null || graph.history === null || graph.replaying) {
+    return fn();
+  }
+  graph.pendingChanges = [];
+  try {
+    return fn();
+  } finally {
+    const changes = graph.pendingChanges;
+    graph.pendingChanges = null;
+    commitChanges(graph, changes);
+  }
+}
+
+function setMain(graph, key, isMain) {
+  return isMain ? graph.setMainNode(key) : graph.unsetMainNode(key);
+}
+
+function setMembership(graph, key, group, isMember) {
+  return isMember ? graph.addToGroup(key, group) : graph.removeFromGroup(key, group);
+}
+
+function replaceAttributes(graph, change, attributes) {
+  const replace = (bag) => {
+    for (const name of Object.keys(bag)) {
+      delete bag[name];
+    }
+    Object.assign(bag, attributes);
+  };
+  if (change.kind === "node") {
+    changeNodeAttributes(graph, change.key, replace);
+  } else {
+    changeEdgeAttributes(graph, graph.edgeTable.get(change.id), replace);
+  }
+}
+
+function restoreEdge(graph, edge) {
+  insertEdge(graph, edge.source, edge.target, edge.weight, edge.attributes, edge.id);
+}
+
+function restoreSnapshot(graph, { nodes, edges, mainNodes, groups }) {
+  for (const node of nodes) {
+    graph.addNode(node.key, node.attributes);
+  }
+  for (const edge of edges) {
+    restoreEdge(graph, edge);
+  }
+  for (const key of mainNodes) {
+    graph.setMainNode(key);
+  }
+  for (const [group, keys] of Object.entries(groups)) {
+    for (const key of keys) {
+      graph.addToGroup(key, group);
+    }
+  }
+}
+
+function applyChange(graph, { event, payload }, forward) {
+  switch (event) {
+    case "nodeAdded":
+      if (forward) {
+        graph.addNode(payload.key, payload.attributes);
+      } else {
+        graph.removeNode(payload.key);
+      }
+      break;
+    case "nodeRemoved":
+      if (forward) {
+        graph.removeNode(payload.key);
+      } else {
+        graph.addNode(payload.key, payload.attributes);
+        setMain(graph, payload.key, payload.isMain);
+        for (const group of payload.groups) {
+          graph.addToGroup(payload.key, group);
+        }
+      }
+      break;
+    case "linkAdded":
+      if (forward) {
+        restoreEdge(graph, payload);
+      } else {
+        graph.removeEdge(payload.id);
+      }
+      break;
+    case "linkRemoved":
+      if (forward) {
+        graph.removeEdge(payload.id);
+      } else {
+        restoreEdge(graph, payload);
+      }
+      break;
+    case "weightChanged":
+      graph.setEdgeWeight(payload.id, forward ? payload.weight : payload.previousWeight);
+      break;
+    case "attributesUpdated":
+      replaceAttributes(graph, payload, forward ? payload.attributes : payload.previousAttributes);
+      break;
+    case "mainNodeChanged":
+      setMain(graph, payload.key, forward ? payload.isMain : !payload.isMain);
+      break;
+    case "groupChanged":
+      setMembership(graph, payload.key, payload.group, forward ? payload.isMember : !payload.isMember);
+      break;
+    case "cleared":
+      if (forward) {
+        graph.clear();
+      } else {
+        restoreSnapshot(graph, payload);
+      }
+      break;
+  }
+}
+
+function replay(graph, changes, forward) {
+  const wasReplaying = graph.replaying;
+  graph.replaying = true;
+  try {
+    const ordered = forward ? changes : changes.slice().reverse();
+    for (const change of ordered) {
+      applyChange(graph, change, forward);
+    }
+  } finally {
+    graph.replaying = wasReplaying;
+  }
+}
+
+function emptyLike(graph, isDirected = graph.isDirected, isWeighted = graph.isWeighted) {
+  return new Graph(isDirected, isWeighted, {
+    multi: graph.isMulti,
+    allowSelfLoops: graph.allowSelfLoops,
+    keyFn: graph.keyFn,
+  });
+}
+
+function copyFiltered(graph, keepNode, keepEdge) {
+  const result = emptyLike(graph);
+  for (const [id, key] of graph.idToKeyTable) {
+    const attributes = graph.nodeAttributes.get(id);
+    if (keepNode(key, { ...attributes })) {
+      result.addNode(key, attributes);
+      if (graph.mainNodes.has(id)) {
+        result.setMainNode(key);
+      }
+      for (const group of graph.groupsOf(key)) {
+        result.addToGroup(key, group);
+      }
+    }
+  }
+  for (const edge of graph.edgeTable.values()) {
+    const record = edgeRecord(graph, edge);
+    if (result.hasNode(record.source) && result.hasNode(record.target) && keepEdge(record)) {
+      insertEdge(result, record.source, record.target, record.weight, record.attributes, record.id);
+    }
+  }
+  return result;
+}
+
+function describeType(graph) {
+  return `${graph.isDirected ? "directed" : "undirected"} ${graph.isWeighted ? "weighted" : "unweighted"}`;
+}
+
+function combinedLike(graph1, graph2) {
+  if (graph1.isDirected !== graph2.isDirected || graph1.isWeighted !== graph2.isWeighted) {
+    throw new TypeError(`Cannot combine ${describeType(graph1)} and ${describeType(graph2)} graphs`);
+  }
+  // Parallel edges have no pairwise match between graphs, so multigraphs are rejected
+  // rather than silently collapsed
+  if (graph1.isMulti || graph2.isMulti) {
+    throw new TypeError("Cannot combine multigraphs, their parallel edges have no pairwise match");
+  }
+  return new Graph(graph1.isDirected, graph1.isWeighted, {
+    allowSelfLoops: graph1.allowSelfLoops || graph2.allowSelfLoops,
+    keyFn: graph1.keyFn,
+  });
+}
+
+function weightMerger(strategy = "first") {
+  const merge = typeof strategy === "function" ? strategy : WEIGHT_MERGES[strategy];
+  if (merge === undefined) {
+    throw new Error(`Unknown weight merge '${strategy}', expected one of ${Object.keys(WEIGHT_MERGES).join(", ")} or a function`);
+  }
+  return merge;
+}
+
+// One entry per connected pair, collapsing parallel edges to the lightest weight
+function linkPairs(graph) {
+  const pairs = [];
+  for (const [id, row] of graph.links) {
+    for (const [neighbourId, parallel] of row) {
+      if (!graph.isDirected && neighbourId < id) continue;
+      pairs.push({
+        source: graph.idToKeyTable.get(id),
+        target: graph.idToKeyTable.get(neighbourId),
+        weight: lightestWeight(parallel),
+        attributes: { ...parallel.values().next().value.attributes },
+      });
+    }
+  }
+  return pairs;
+}
+
+function deleteMember(graph, group, id) {
+  const members = graph.groups.get(group);
+  if (!members || !members.delete(id)) {
+    return false;
+  }
+  // Empty groups are dropped so they don't linger in getGroup/toJSON
+  if (members.size === 0) {
+    graph.groups.delete(group);
+  }
+  return true;
+}
+
+function isMain(graph, key) {
+  return graph.hasNode(key) && graph.mainNodes.has(idOf(graph, key));
+}
+
+function copyNodes(result, graph, keep = () => true) {
+  for (const [id, key] of graph.idToKeyTable) {
+    if (!keep(key)) continue;
+    if (!result.addNode(key, graph.nodeAttributes.get(id))) {
+      result.updateNodeAttributes(key, graph.nodeAttributes.get(id));
+    }
+  }
+}
+
+// Carries main-node flags and group membership over to nodes already copied into result
+function copyMembership(result, graph) {
+  for (const key of graph.getMainNodes()) {
+    result.setMainNode(key);
+  }
+  for (const [group, members] of graph.groups) {
+    for (const key of keysOf(graph, members)) {
+      result.addToGroup(key, group);
+    }
+  }
+}
+
+function copyReweighted(graph, isWeighted, weightOf) {
+  const result = emptyLike(graph, graph.isDirected, isWeighted);
+  copyNodes(result, graph);
+  for (const edge of graph.edgeTable.values()) {
+    const record = edgeRecord(graph, edge);
+    insertEdge(result, record.source, record.target, weightOf(record), record.attributes, record.id);
+  }
+  copyMembership(result, graph);
+  return result;
+}
+
+function nonNegativeWeight(graph, sourceId, targetId, parallel) {
+  const weight = lightestWeight(parallel);
+  if (weight < 0) {
+    throw new RangeError(
+      `Negative weight ${weight} on the link ${graph.idToKeyTable.get(sourceId)} -> ${graph.idToKeyTable.get(targetId)}, ` +
+        "use bellmanFord() for graphs with negative weights"
+    );
+  }
+  return weight;
+}
+
+// Dijkstra from startId, stopping once endId is settled (or never when endId is null).
+// predecessors lists every neighbour a shortest path can arrive from, so ties are kept;
+// its first entry is the tree parent, and zero-weight links can make the rest cyclic.
+function shortestPaths(graph, startId, endId, weightOf = nonNegativeWeight) {
+  const distances = new Map([[startId, 0]]);
+  const predecessors = new Map([[startId, []]]);
+  const visited = new Set();
+  const queue = new BinaryHeap();
+  queue.push(startId, 0);
+
+  while (!queue.isEmpty()) {
+    const current = queue.pop();
+    visited.add(current);
+
+    if (current === endId) break;
+
+    for (const [neighbor, parallel] of graph.links.get(current)) {
+      const weight = weightOf(graph, current, neighbor, parallel);
+      // An infinite weight marks a link the caller wants left out of the search
+      if (weight === Infinity) continue;
+      const alt = distances.get(current) + weight;
+      if (visited.has(neighbor)) {
+        // A zero-weight link can still make a settled node an equal-cost successor
+        if (alt === distances.get(neighbor) && neighbor !== startId) {
+          predecessors.get(neighbor).push(current);
+        }
+        continue;
+      }
+      const known = distances.has(neighbor) ? distances.get(neighbor) : Infinity;
+      if (alt < known) {
+        distances.set(neighbor, alt);
+        predecessors.set(neighbor, [current]);
+        if (queue.has(neighbor)) {
+          queue.decreaseKey(neighbor, alt);
+        } else {
+          queue.push(neighbor, alt);
+        }
+      } else if (alt === known) {
+        predecessors.get(neighbor).push(current);
+      }
+    }
+  }
+  return { distances, predecessors };
+}
+
+// Every connected ordered pair once, weighted by its lightest parallel edge
+function arcsOf(graph) {
+  const arcs = [];
+  for (const [source, row] of graph.links) {
+    for (const [target, parallel] of row) {
+      arcs.push({ source, target, weight: lightestWeight(parallel) });
+    }
+  }
+  return arcs;
+}
+
+// Bellman-Ford from every id in sourceIds at distance 0. Returns the closed cycle
+// [a, ..., a] in edge order instead of distances when a negative cycle is reachable.
+function relax(graph, arcs, sourceIds) {
+  const distances = new Map();
+  const parents = new Map();
+  for (const id of sourceIds) {
+    distances.set(id, 0);
+    parents.set(id, null);
+  }
+  let updated = null;
+  for (let pass = 0; pass < graph.order; pass++) {
+    updated = null;
+    for (const { source, target, weight } of arcs) {
+      if (!distances.has(source)) continue;
+      const alt = distances.get(source) + weight;
+      if (alt < (distances.has(target) ? distances.get(target) : Infinity)) {
+        distances.set(target, alt);
+        parents.set(target, source);
+        updated = target;
+      }
+    }
+    if (updated === null) break;
+  }
+
+  if (updated !== null) {
+    // Still relaxing after |V| passes: walking back |V| parents is guaranteed to land on the cycle
+    let id = updated;
+    for (let i = 0; i < graph.order; i++) {
+      id = parents.get(id);
+    }
+    const cycle = [id];
+    for (let previous = parents.get(id); previous !== id; previous = parents.get(previous)) {
+      cycle.push(previous);
+    }
+    cycle.push(id);
+    return { negativeCycle: cycle.reverse() };
+  }
+  return { distances, parents, negativeCycle: null };
+}
+
+// The Bellman-Ford parent of each node first, then every other tight arc into it; zero-weight
+// links can make these cyclic, which pathTree's simple-path walk allows for
+function equalCostPredecessors(arcs, distances, parents) {
+  const predecessors = new Map();
+  for (const [id, parent] of parents) {
+    predecessors.set(id, parent === null ? [] : [parent]);
+  }
+  for (const { source, target, weight } of arcs) {
+    if (parents.get(target) === null || !distances.has(source)) continue;
+    const previous = predecessors.get(target);
+    if (distances.get(source) + weight === distances.get(target) && !previous.includes(source)) {
+      previous.push(source);
+    }
+  }
+  return predecessors;
+}
+
+// All-pairs tables are flat row-major arrays over the nodes in ids: distances[i * n + j]
+// is the cost from ids[i] to ids[j] and previous[i * n + j] the index of the node before
+// ids[j] on that path (-1 when there is none).
+function floydWarshall(graph, ids, arcs) {
+  const n = ids.length;
+  const indexOf = new Map(ids.map((id, index) => [id, index]));
+  const distances = new Float64Array(n * n).fill(Infinity);
+  const previous = new Int32Array(n * n).fill(-1);
+  for (let i = 0; i < n; i++) {
+    distances[i * n + i] = 0;
+  }
+  for (const { source, target, weight } of arcs) {
+    const cell = indexOf.get(source) * n + indexOf.get(target);
+    if (weight < distances[cell]) {
+      distances[cell] = weight;
+      previous[cell] = indexOf.get(source);
+    }
+  }
+  for (let k = 0; k < n; k++) {
+    for (let i = 0; i < n; i++) {
+      const throughK = distances[i * n + k];
+      if (throughK === Infinity) continue;
+      for (let j = 0; j < n; j++) {
+        const alt = throughK + distances[k * n + j];
+        if (alt < distances[i * n + j]) {
+          distances[i * n + j] = alt;
+          previous[i * n + j] = previous[k * n + j];
+        }
+      }
+    }
+  }
+  for (let i = 0; i < n; i++) {
+    if (distances[i * n + i] < 0) {
+      return { negativeCycle: relax(graph, arcs, [ids[i]]).negativeCycle };
+    }
+  }
+  return { distances, previous, negativeCycle: null };
+}
+
+// Reweights every link with Bellman-Ford potentials so it becomes non-negative,
+// then runs dijkstra from each node
+function johnson(graph, ids, arcs) {
+  const { distances: potentials, negativeCycle } = relax(graph, arcs, ids);
+  if (negativeCycle !== null) {
+    return { negativeCycle };
+  }
+  const n = ids.length;
+  const indexOf = new Map(ids.map((id, index) => [id, index]));
+  // Rounding can leave a reweighted tie a hair below zero
+  const reweighted = (_, source, target, parallel) =>
+    Math.max(0, lightestWeight(parallel) + potentials.get(source) - potentials.get(target));
+  const distances = new Float64Array(n * n).fill(Infinity);
+  const previous = new Int32Array(n * n).fill(-1);
+  ids.forEach((startId, i) => {
+    const tree = shortestPaths(graph, startId, null, reweighted);
+    for (const [id, distance] of tree.distances) {
+      const cell = i * n + indexOf.get(id);
+      distances[cell] = distance - potentials.get(startId) + potentials.get(id);
+      const [before] = tree.predecessors.get(id);
+      previous[cell] = before === undefined ? -1 : indexOf.get(before);
+    }
+  });
+  return { distances, previous, negativeCycle: null };
+}
+
+// Traversals are generators of steps, shared by the visitor and iterator APIs:
+//   { event: "discover", key, depth, parent }
+//   { event: "edge", source, target, type }
+//   { event: "finish", key, depth }
+// In an undirected graph each link is reported once and never back along the tree link.
+// BFS has no forward edges: a non-tree edge is a back edge when it leads to an ancestor
+// of its source (or the source itself) and a cross edge otherwise. Edge steps are only
+// produced when reportEdges is set, since classifying them needs the whole BFS tree up front.
+function* breadthFirst(graph, startId, reportEdges) {
+  const keyOf = (id) => graph.idToKeyTable.get(id);
+  const depths = new Map([[startId, 0]]);
+  const parents = new Map([[startId, undefined]]);
+  const finished = new Set();
+  const queue = [startId];
+  const tree = reportEdges ? breadthFirstTree(graph, startId) : null;
+  yield { event: "discover", key: keyOf(startId), depth: 0, parent: undefined };
+
+  for (let head = 0; head < queue.length; head++) {
+    const current = queue[head];
+    for (const neighbor of graph.links.get(current).keys()) {
+      if (depths.has(neighbor)) {
+        if (reportEdges && (graph.isDirected || !(finished.has(neighbor) || neighbor === parents.get(current)))) {
+          const type = tree.isAncestor(neighbor, current) ? "back" : "cross";
+          yield { event: "edge", source: keyOf(current), target: keyOf(neighbor), type };
+        }
+        continue;
+      }
+      depths.set(neighbor, depths.get(current) + 1);
+      parents.set(neighbor, current);
+      queue.push(neighbor);
+      if (reportEdges) {
+        yield { event: "edge", source: keyOf(current), target: keyOf(neighbor), type: "tree" };
+      }
+      yield { event: "discover", key: keyOf(neighbor), depth: depths.get(neighbor), parent: keyOf(current) };
+    }
+    finished.add(current);
+    yield { event: "finish", key: keyOf(current), depth: depths.get(current) };
+  }
+}
+
+// Builds the BFS tree from startId and numbers it in depth-first order, so that
+// isAncestor(a, b) is an O(1) interval check
+function breadthFirstTree(graph, startId) {
+  const children = new Map([[startId, []]]);
+  const queue = [startId];
+  for (let head = 0; head < queue.length; head++) {
+    for (const neighbor of graph.links.get(queue[head]).keys()) {
+      if (!children.has(neighbor)) {
+        children.set(neighbor, []);
+        children.get(queue[head]).push(neighbor);
+        queue.push(neighbor);
+      }
+    }
+  }
+  const enter = new Map();
+  const exit = new Map();
+  let clock = 0;
+  const stack = [[startId, 0]];
+  while (stack.length > 0) {
+    const top = stack[stack.length - 1];
+    const [id, index] = top;
+    if (index === 0) {
+      enter.set(id, clock++);
+    }
+    if (index < children.get(id).length) {
+      top[1]++;
+      stack.push([children.get(id)[index], 0]);
+    } else {
+      exit.set(id, clock++);
+      stack.pop();
+    }
+  }
+  return {
+    isAncestor: (ancestor, id) => enter.get(ancestor) <= enter.get(id) && exit.get(id) <= exit.get(ancestor),
+  };
+}
+
+// Edge types follow the classic DFS classification; undirected graphs only have tree and back edges
+function* depthFirst(graph, startId) {
+  const keyOf = (id) => graph.idToKeyTable.get(id);
+  const discovered = new Map([[startId, 0]]);
+  const parents = new Map([[startId, undefined]]);
+  const finished = new Set();
+  const path = [startId];
+  const stack = [graph.links.get(startId).keys()];
+  yield { event: "discover", key: keyOf(startId), depth: 0, parent: undefined };
+
+  while (stack.length > 0) {
+    const current = path[path.length - 1];
+    const step = stack[stack.length - 1].next();
+    if (step.done) {
+      stack.pop();
+      path.pop();
+      finished.add(current);
+      yield { event: "finish", key: keyOf(current), depth: path.length };
+      continue;
+    }
+    const neighbor = step.value;
+    const edge = { event: "edge", source: keyOf(current), target: keyOf(neighbor) };
+    if (!discovered.has(neighbor)) {
+      discovered.set(neighbor, discovered.size);
+      parents.set(neighbor, current);
+      yield { ...edge, type: "tree" };
+      yield { event: "discover", key: keyOf(neighbor), depth: path.length, parent: keyOf(current) };
+      path.push(neighbor);
+      stack.push(graph.links.get(neighbor).keys());
+    } else if (!graph.isDirected) {
+      if (!finished.has(neighbor) && neighbor !== parents.get(current)) {
+        yield { ...edge, type: "back" };
+      }
+    } else if (!finished.has(neighbor)) {
+      yield { ...edge, type: "back" };
+    } else if (discovered.get(neighbor) > discovered.get(current)) {
+      yield { ...edge, type: "forward" };
+    } else {
+      yield { ...edge, type: "cross" };
+    }
+  }
+}
+
+// Feeds traversal steps to the visitor's hooks until one of them returns false
+function visit(steps, visitor) {
+  const { onDiscover, onEdge, onFinish } = visitor;
+  const order = [];
+  for (const step of steps) {
+    let result;
+    if (step.event === "discover") {
+      order.push(step.key);
+      result = onDiscover && onDiscover(step.key, step.depth, step.parent);
+    } else if (step.event === "edge") {
+      result = onEdge && onEdge(step.source, step.target, step.type);
+    } else {
+      result = onFinish && onFinish(step.key, step.depth);
+    }
+    if (result === false) break;
+  }
+  return order;
+}
+
+function* discoveries(steps) {
+  for (const step of steps) {
+    if (step.event === "discover") {
+      yield { key: step.key, depth: step.depth, parent: step.parent };
+    }
+  }
+}
+
+function pathCost(graph, ids) {
+  let cost = 0;
+  for (let i = 1; i < ids.length; i++) {
+    cost += lightestWeight(graph.links.get(ids[i - 1]).get(ids[i]));
+  }
+  return cost;
+}
+
+// Follows the first recorded predecessor back to the source
+function tracePath(predecessors, endId) {
+  const path = [endId];
+  let previous = predecessors.get(endId);
+  while (previous.length > 0) {
+    path.push(previous[0]);
+    previous = predecessors.get(previous[0]);
+  }
+  return path.reverse();
+}
+
+function pathTree(graph, startId, distances, predecessors) {
+  const keyOf = (id) => graph.idToKeyTable.get(id);
+  const idFor = (key) => (graph.hasNode(key) ? idOf(graph, key) : undefined);
+  // Walks predecessors back to the source without revisiting a node, so cycles of
+  // zero-weight links don't repeat
+  const onPath = new Set();
+  const allPaths = (id) => {
+    if (id === startId) {
+      return [[id]];
+    }
+    onPath.add(id);
+    const paths = predecessors
+      .get(id)
+      .filter((previous) => !onPath.has(previous))
+      .flatMap((previous) => allPaths(previous).map((path) => path.concat(id)));
+    onPath.delete(id);
+    return paths;
+  };
+
+  return {
+    source: startId === null ? undefined : keyOf(startId),
+    distances: new Map(Array.from(distances, ([id, distance]) => [keyOf(id), distance])),
+    predecessors: new Map(Array.from(predecessors, ([id, previous]) => [keyOf(id), keysOf(graph, previous)])),
+    distanceTo(key) {
+      const id = idFor(key);
+      return distances.has(id) ? distances.get(id) : Infinity;
+    },
+    pathTo(key) {
+      const id = idFor(key);
+      if (!distances.has(id)) {
+        return { path: [], distance: Infinity };
+      }
+      return { path: keysOf(graph, tracePath(predecessors, id)), distance: distances.get(id) };
+    },
+    // Every equal-cost shortest path; the count can grow exponentially with the number of ties
+    allPathsTo(key) {
+      const id = idFor(key);
+      if (!distances.has(id)) {
+        return [];
+      }
+      return allPaths(id).map((path) => keysOf(graph, path));
+    },
+  };
+}
+
+function validateWeight(graph, weight) {
+  if (!graph.isWeighted || weight === undefined) {
+    weight = 1;
+  }
+  if (isNaN(weight) || typeof weight !== "number" || !isFinite(weight)) {
+    throw new TypeError("Weight must be a finite number");
+  }
+  return weight;
+}
+
+function changeWeight(graph, edge, weight) {
+  const previousWeight = edge.weight;
+  edge.weight = validateWeight(graph, weight);
+  if (edge.weight !== previousWeight) {
+    notify(graph, "weightChanged", { ...edgeRecord(graph, edge), previousWeight });
+  }
+}
+
+function changeNodeAttributes(graph, key, change) {
+  const attributes = graph.nodeAttributes.get(idOf(graph, key));
+  const previousAttributes = { ...attributes };
+  change(attributes);
+  notify(graph, "attributesUpdated", {
+    kind: "node",
+    key: graph.idToKeyTable.get(idOf(graph, key)),
+    attributes: { ...attributes },
+    previousAttributes,
+  });
+}
+
+function changeEdgeAttributes(graph, edge, change) {
+  const previousAttributes = { ...edge.attributes };
+  change(edge.attributes);
+  const { id, source, target, attributes } = edgeRecord(graph, edge);
+  notify(graph, "attributesUpdated", {
+    kind: "edge",
+    id,
+    source,
+    target,
+    attributes,
+    previousAttributes,
+  });
+}
+
+class Graph extends EventEmitter {
+  constructor(isDirected = false, isWeighted = false, options = {}) {
+    super();
     this.isDirected = isDirected;
     this.isWeighted = isWeighted;
+    this.isMulti = Boolean(options.multi);
+    this.allowSelfLoops = Boolean(options.allowSelfLoops);
+    this.keyFn = options.keyFn || null;
     this.counterId = 0;
-    this.keyToIdTable = {};
-    this.idToKeyTable = {};
-    this.links = {};
+    this.edgeCounter = 0;
+    this.keyToIdTable = new Map();
+    this.idToKeyTable = new Map();
+    this.edgeTable = new Map();
+    this.links = new Map();
+    this.reverseLinks = new Map();
+    this.nodeAttributes = new Map();
     this.mainNodes = new Set();
+    this.groups = new Map();
+    this.history = null;
+    this.pendingChanges = null;
+    this.replaying = false;
+    if (options.history) {
+      this.enableHistory(options.history === true ? {} : options.history);
+    }
+  }
+
+  type() {
+    return {
+      weighted: this.isWeighted,
+      directed: this.isDirected,
+      multi: this.isMulti,
+      selfLoops: this.allowSelfLoops,
+    };
+  }
+
+  addNode(key, attrs = {}) {
+    const identity = identityOf(this, key);
+    if (!this.keyToIdTable.has(identity)) {
+      const id = this.counterId++;
+      this.keyToIdTable.set(identity, id);
+      this.idToKeyTable.set(id, key);
+      this.links.set(id, new Map());
+      this.reverseLinks.set(id, new Map());
+      this.nodeAttributes.set(id, { ...attrs });
+      notify(this, "nodeAdded", { key, attributes: { ...attrs } });
+      return true;
+    }
+    return false;
+  }
+
+  addLink(key1, key2, weight, attrs = {}) {
+    return this.addEdge(key1, key2, weight, attrs) !== null;
+  }
+
+  // With `id` the edge keeps that id instead of a generated one, as importers need
+  addEdge(key1, key2, weight, attrs = {}, options = {}) {
+    return batch(this, () => insertEdge(this, key1, key2, weight, attrs, options.id));
+  }
+
+  hasNode(key) {
+    return this.keyToIdTable.has(identityOf(this, key));
+  }
+
+  hasLink(key1, key2) {
+    return (
+      this.hasNode(key1) &&
+      this.hasNode(key2) &&
+      this.links.get(idOf(this, key1)).has(idOf(this, key2))
+    );
+  }
+
+  hasEdge(edgeId) {
+    return this.edgeTable.has(edgeId);
+  }
+
+  getEdge(edgeId) {
+    if (!this.hasEdge(edgeId)) {
+      return undefined;
+    }
+    return edgeRecord(this, this.edgeTable.get(edgeId));
+  }
+
+  linksBetween(key1, key2) {
+    if (!this.hasLink(key1, key2)) {
+      return [];
+    }
+    const parallel = this.links.get(idOf(this, key1)).get(idOf(this, key2));
+    return Array.from(parallel.values(), (edge) => edgeRecord(this, edge));
+  }
+
+  removeEdge(edgeId) {
+    if (!this.hasEdge(edgeId)) {
+      return false;
+    }
+    const edge = this.edgeTable.get(edgeId);
+    const record = edgeRecord(this, edge);
+    this.edgeTable.delete(edgeId);
+    detachEdge(this.links, edge.source, edge.target, edgeId);
+    if (this.isDirected) {
+      detachEdge(this.reverseLinks, edge.target, edge.source, edgeId);
+    } else if (edge.source !== edge.target) {
+      detachEdge(this.links, edge.target, edge.source, edgeId);
+    }
+    notify(this, "linkRemoved", record);
+    return true;
+  }
+
+  removeLink(key1, key2) {
+    if (!this.hasLink(key1, key2)) {
+      return false;
+    }
+    const parallel = this.links.get(idOf(this, key1)).get(idOf(this, key2));
+    batch(this, () => {
+      for (const edgeId of Array.from(parallel.keys())) {
+        this.removeEdge(edgeId);
+      }
+    });
+    return true;
+  }
+
+  linkWeight(key1, key2) {
+    if (!this.hasLink(key1, key2)) {
+      return undefined;
+    } else {
+      return lightestWeight(this.links.get(idOf(this, key1)).get(idOf(this, key2)));
+    }
+  }
+
+  setLinkWeight(key1, key2, weight) {
+    if (!this.hasLink(key1, key2)) {
+      return false;
+    }
+    const parallel = Array.from(this.links.get(idOf(this, key1)).get(idOf(this, key2)).values());
+    batch(this, () => {
+      for (const edge of parallel) {
+        changeWeight(this, edge, weight);
+      }
+    });
+    return true;
+  }
+
+  setEdgeWeight(edgeId, weight) {
+    if (!this.hasEdge(edgeId)) {
+      return false;
+    }
+    changeWeight(this, this.edgeTable.get(edgeId), weight);
+    return true;
+  }
+
+  getNodeAttributes(key) {
+    if (!this.hasNode(key)) {
+      return undefined;
+    }
+    return { ...this.nodeAttributes.get(idOf(this, key)) };
+  }
+
+  getNodeAttribute(key, name) {
+    if (!this.hasNode(key)) {
+      return undefined;
+    }
+    return this.nodeAttributes.get(idOf(this, key))[name];
+  }
+
+  setNodeAttribute(key, name, value) {
+    if (!this.hasNode(key)) {
+      return false;
+    }
+    changeNodeAttributes(this, key, (attributes) => {
+      attributes[name] = value;
+    });
+    return true;
+  }
+
+  updateNodeAttributes(key, attrs) {
+    if (!this.hasNode(key)) {
+      return false;
+    }
+    changeNodeAttributes(this, key, (attributes) => {
+      Object.assign(attributes, attrs);
+    });
+    return true;
+  }
+
+  removeNodeAttribute(key, name) {
+    if (!this.hasNode(key)) {
+      return false;
+    }
+    changeNodeAttributes(this, key, (attributes) => {
+      delete attributes[name];
+    });
+    return true;
+  }
+
+  getLinkAttributes(key1, key2) {
+    if (!this.hasLink(key1, key2)) {
+      return undefined;
+    }
+    return { ...firstEdge(this, key1, key2).attributes };
+  }
+
+  getLinkAttribute(key1, key2, name) {
+    if (!this.hasLink(key1, key2)) {
+      return undefined;
+    }
+    return firstEdge(this, key1, key2).attributes[name];
+  }
+
+  setLinkAttribute(key1, key2, name, value) {
+    if (!this.hasLink(key1, key2)) {
+      return false;
+    }
+    changeEdgeAttributes(this, firstEdge(this, key1, key2), (attributes) => {
+      attributes[name] = value;
+    });
+    return true;
+  }
+
+  updateLinkAttributes(key1, key2, attrs) {
+    if (!this.hasLink(key1, key2)) {
+      return false;
+    }
+    changeEdgeAttributes(this, firstEdge(this, key1, key2), (attributes) => {
+      Object.assign(attributes, attrs);
+    });
+    return true;
+  }
+
+  removeLinkAttribute(key1, key2, name) {
+    if (!this.hasLink(key1, key2)) {
+      return false;
+    }
+    changeEdgeAttributes(this, firstEdge(this, key1, key2), (attributes) => {
+      delete attributes[name];
+    });
+    return true;
+  }
+
+  getEdgeAttributes(edgeId) {
+    if (!this.hasEdge(edgeId)) {
+      return undefined;
+    }
+    return { ...this.edgeTable.get(edgeId).attributes };
+  }
+
+  getEdgeAttribute(edgeId, name) {
+    if (!this.hasEdge(edgeId)) {
+      return undefined;
+    }
+    return this.edgeTable.get(edgeId).attributes[name];
+  }
+
+  setEdgeAttribute(edgeId, name, value) {
+    if (!this.hasEdge(edgeId)) {
+      return false;
+    }
+    changeEdgeAttributes(this, this.edgeTable.get(edgeId), (attributes) => {
+      attributes[name] = value;
+    });
+    return true;
+  }
+
+  updateEdgeAttributes(edgeId, attrs) {
+    if (!this.hasEdge(edgeId)) {
+      return false;
+    }
+    changeEdgeAttributes(this, this.edgeTable.get(edgeId), (attributes) => {
+      Object.assign(attributes, attrs);
+    });
+    return true;
+  }
+
+  removeEdgeAttribute(edgeId, name) {
+    if (!this.hasEdge(edgeId)) {
+      return false;
+    }
+    changeEdgeAttributes(this, this.edgeTable.get(edgeId), (attributes) => {
+      delete attributes[name];
+    });
+    return true;
+  }
+
+  connectedWith(key) {
+    if (!this.hasNode(key)) {
+      return undefined;
+    }
+    return keysOf(this, this.links.get(idOf(this, key)).keys());
+  }
+
+  outNeighbors(key) {
+    return this.connectedWith(key);
+  }
+
+  inNeighbors(key) {
+    if (!this.hasNode(key)) {
+      return undefined;
+    }
+    if (!this.isDirected) {
+      return this.connectedWith(key);
+    }
+    return keysOf(this, this.reverseLinks.get(idOf(this, key)).keys());
+  }
+
+  neighbors(key) {
+    if (!this.hasNode(key)) {
+      return undefined;
+    }
+    if (!this.isDirected) {
+      return this.connectedWith(key);
+    }
+    const id = idOf(this, key);
+    const ids = new Set([
+      ...this.links.get(id).keys(),
+      ...this.reverseLinks.get(id).keys(),
+    ]);
+    return keysOf(this, ids);
+  }
+
+  outDegree(key) {
+    if (!this.hasNode(key)) {
+      return undefined;
+    }
+    if (!this.isDirected) {
+      return this.degree(key);
+    }
+    return countEdges(this.links.get(idOf(this, key)));
+  }
+
+  inDegree(key) {
+    if (!this.hasNode(key)) {
+      return undefined;
+    }
+    if (!this.isDirected) {
+      return this.degree(key);
+    }
+    return countEdges(this.reverseLinks.get(idOf(this, key)));
+  }
+
+  degree(key) {
+    if (!this.hasNode(key)) {
+      return undefined;
+    }
+    if (!this.isDirected) {
+      // A self-loop touches its node twice
+      const row = this.links.get(idOf(this, key));
+      return countEdges(row) + countSelfLoops(row, idOf(this, key));
+    }
+    return this.inDegree(key) + this.outDegree(key);
+  }
+
+  removeNode(key) {
+    if (!this.hasNode(key)) {
+      return false;
+    }
+    batch(this, () => {
+      const id = idOf(this, key);
+      const storedKey = this.idToKeyTable.get(id);
+      const attributes = { ...this.nodeAttributes.get(id) };
+      const isMain = this.mainNodes.has(id);
+      const groups = this.groupsOf(key);
+      const incident = new Set();
+      for (const row of [this.links.get(id), this.reverseLinks.get(id)]) {
+        for (const parallel of row.values()) {
+          for (const edgeId of parallel.keys()) {
+            incident.add(edgeId);
+          }
+        }
+      }
+      for (const edgeId of incident) {
+        this.removeEdge(edgeId);
+      }
+      this.links.delete(id);
+      this.reverseLinks.delete(id);
+      this.nodeAttributes.delete(id);
+      this.mainNodes.delete(id);
+      for (const group of groups) {
+        deleteMember(this, group, id);
+      }
+      this.keyToIdTable.delete(identityOf(this, key));
+      this.idToKeyTable.delete(id);
+      notify(this, "nodeRemoved", { key: storedKey, attributes, isMain, groups });
+    });
+    return true;
+  }
+
+  clear() {
+    const { nodes, edges, mainNodes, groups } = this.toJSON();
+    this.keyToIdTable.clear();
+    this.idToKeyTable.clear();
+    this.edgeTable.clear();
+    this.links.clear();
+    this.reverseLinks.clear();
+    this.nodeAttributes.clear();
+    this.mainNodes.clear();
+    this.groups.clear();
+    notify(this, "cleared", { nodes, edges, mainNodes, groups });
+  }
+
+  nodes() {
+    return Array.from(this.idToKeyTable.values());
+  }
+
+  get order() {
+    return this.idToKeyTable.size;
+  }
+
+  get size() {
+    return this.edgeTable.size;
+  }
+
+  edges() {
+    return Array.from(this.edgeEntries());
   }
 
-  type() {
-    return {
-      weighted: this.isWeighted,
-      directed: this.isDirected,
-    };
+  edgesOf(key) {
+    if (!this.hasNode(key)) {
+      return undefined;
+    }
+    const id = idOf(this, key);
+    const incident = new Map();
+    for (const row of [this.links.get(id), this.reverseLinks.get(id)]) {
+      for (const parallel of row.values()) {
+        for (const edge of parallel.values()) {
+          incident.set(edge.id, edge);
+        }
+      }
+    }
+    return Array.from(incident.values(), (edge) => edgeRecord(this, edge));
   }
 
-  addNode(key) {
-    if (this.keyToIdTable[key] === undefined) {
-      const id = this.counterId++;
-      this.keyToIdTable[key] = id;
-      this.idToKeyTable[id] = key;
-      this.links[id] = {};
+  *nodeEntries() {
+    for (const [id, key] of this.idToKeyTable) {
+      yield { key, attributes: { ...this.nodeAttributes.get(id) } };
+    }
+  }
+
+  *edgeEntries() {
+    for (const edge of this.edgeTable.values()) {
+      yield edgeRecord(this, edge);
+    }
+  }
+
+  *[Symbol.iterator]() {
+    yield* this.idToKeyTable.values();
+  }
+
+  forEachNode(callback) {
+    for (const { key, attributes } of this.nodeEntries()) {
+      callback(key, attributes, this);
+    }
+  }
+
+  forEachEdge(callback) {
+    for (const edge of this.edgeEntries()) {
+      callback(edge, this);
+    }
+  }
+
+  setMainNode(key) {
+    if (this.hasNode(key)) {
+      const id = idOf(this, key);
+      if (!this.mainNodes.has(id)) {
+        this.mainNodes.add(id);
+        notify(this, "mainNodeChanged", { key: this.idToKeyTable.get(id), isMain: true });
+      }
       return true;
     }
     return false;
   }
 
-  addLink(key1, key2, weight) {
-    if (key1 === key2) {
+  unsetMainNode(key) {
+    if (!this.hasNode(key)) {
       return false;
     }
-    if (this.hasLink(key1, key2)) {
+    const id = idOf(this, key);
+    if (!this.mainNodes.delete(id)) {
       return false;
     }
-    if (!this.isWeighted || weight === undefined) {
-      weight = 1;
+    notify(this, "mainNodeChanged", { key: this.idToKeyTable.get(id), isMain: false });
+    return true;
+  }
+
+  clearMainNodes() {
+    batch(this, () => {
+      for (const key of this.getMainNodes()) {
+        this.unsetMainNode(key);
+      }
+    });
+  }
+
+  getMainNodes() {
+    return keysOf(this, this.mainNodes);
+  }
+
+  addToGroup(key, group) {
+    if (!this.hasNode(key)) {
+      return false;
     }
-    if (isNaN(weight) || typeof weight !== "number" || !isFinite(weight)) {
-      throw new TypeError("Weight must be a finite number");
+    const id = idOf(this, key);
+    if (!this.groups.has(group)) {
+      this.groups.set(group, new Set());
     }
-    if (!this.hasNode(key1)) {
-      this.addNode(key1);
+    const members = this.groups.get(group);
+    if (!members.has(id)) {
+      members.add(id);
+      notify(this, "groupChanged", { key: this.idToKeyTable.get(id), group, isMember: true });
     }
-    if (!this.hasNode(key2)) {
-      this.addNode(key2);
+    return true;
+  }
+
+  removeFromGroup(key, group) {
+    if (!this.hasNode(key)) {
+      return false;
     }
-    const id1 = this.keyToIdTable[key1];
-    const id2 = this.keyToIdTable[key2];
-    this.links[id1][id2] = weight;
-    if (!this.isDirected) {
-      this.links[id2][id1] = weight;
+    const id = idOf(this, key);
+    if (!deleteMember(this, group, id)) {
+      return false;
     }
+    notify(this, "groupChanged", { key: this.idToKeyTable.get(id), group, isMember: false });
     return true;
   }
 
-  hasNode(key) {
-    return this.keyToIdTable[key] !== undefined;
+  getGroup(group) {
+    const members = this.groups.get(group);
+    return members ? keysOf(this, members) : [];
   }
 
-  hasLink(key1, key2) {
-    return (
-      this.hasNode(key1) &&
-      this.hasNode(key2) &&
-      this.links[this.keyToIdTable[key1]][this.keyToIdTable[key2]] !== undefined
-    );
+  groupsOf(key) {
+    if (!this.hasNode(key)) {
+      return undefined;
+    }
+    const id = idOf(this, key);
+    const groups = [];
+    for (const [group, members] of this.groups) {
+      if (members.has(id)) {
+        groups.push(group);
+      }
+    }
+    return groups;
   }
 
-  removeLink(key1, key2) {
-    if (!this.hasLink(key1, key2)) {
-      return false;
+  // Serialized shape (version 1):
+  // {
+  //   format: "graphijs",
+  //   version: 1,
+  //   type: { directed, weighted, multi, selfLoops },
+  //   nodes: [{ key, attributes }],
+  //   edges: [{ id, source, target, weight, attributes }],
+  //   mainNodes: [key],
+  //   groups: { [group]: [key] }
+  // }
+  // Node keys are written as-is, so only JSON-safe keys survive a trip through JSON.stringify.
+  toJSON() {
+    const nodes = [];
+    for (const [id, key] of this.idToKeyTable) {
+      nodes.push({ key, attributes: { ...this.nodeAttributes.get(id) } });
+    }
+    const edges = [];
+    for (const edge of this.edgeTable.values()) {
+      edges.push(edgeRecord(this, edge));
     }
-    const id1 = this.keyToIdTable[key1];
-    const id2 = this.keyToIdTable[key2];
-    delete this.links[id1][id2];
+    return {
+      format: JSON_FORMAT,
+      version: JSON_FORMAT_VERSION,
+      type: {
+        directed: this.isDirected,
+        weighted: this.isWeighted,
+        multi: this.isMulti,
+        selfLoops: this.allowSelfLoops,
+      },
+      nodes,
+      edges,
+      mainNodes: this.getMainNodes(),
+      groups: Object.fromEntries(Array.from(this.groups.keys(), (group) => [group, this.getGroup(group)])),
+    };
+  }
+
+  static fromJSON(data, options = {}) {
+    if (typeof data === "string") {
+      data = JSON.parse(data);
+    }
+    if (!data || data.format !== JSON_FORMAT) {
+      throw new Error(`Expected a '${JSON_FORMAT}' document`);
+    }
+    if (data.version !== JSON_FORMAT_VERSION) {
+      throw new Error(`Unsupported ${JSON_FORMAT} version: ${data.version}`);
+    }
+    const type = data.type || {};
+    const graph = new Graph(Boolean(type.directed), Boolean(type.weighted), {
+      ...options,
+      multi: Boolean(type.multi),
+      allowSelfLoops: Boolean(type.selfLoops),
+    });
+    for (const node of data.nodes || []) {
+      graph.addNode(node.key, node.attributes);
+    }
+    for (const edge of data.edges || []) {
+      if (insertEdge(graph, edge.source, edge.target, edge.weight, edge.attributes, edge.id) === null) {
+        throw new Error(`Edge '${edge.id}' is not valid for this graph type`);
+      }
+    }
+    for (const key of data.mainNodes || []) {
+      graph.setMainNode(key);
+    }
+    for (const [group, keys] of Object.entries(data.groups || {})) {
+      for (const key of keys) {
+        graph.addToGroup(key, group);
+      }
+    }
+    graph.clearHistory();
+    return graph;
+  }
+
+  // With `typed: true` the matrix is a flat row-major Float64Array of order.length²
+  toAdjacencyMatrix(options = {}) {
+    const order = options.order || this.nodes();
+    const fill = options.fill !== undefined ? options.fill : 0;
+    const size = order.length;
+    const ids = order.map((key) => {
+      if (!this.hasNode(key)) {
+        throw new Error(`Node ${String(key)} is not in the graph`);
+      }
+      return idOf(this, key);
+    });
+    const position = new Map(ids.map((id, index) => [id, index]));
+
+    const matrix = options.typed
+      ? new Float64Array(size * size).fill(fill)
+      : Array.from({ length: size }, () => new Array(size).fill(fill));
+    ids.forEach((id, row) => {
+      for (const [neighbourId, parallel] of this.links.get(id)) {
+        const column = position.get(neighbourId);
+        if (column === undefined) continue;
+        if (options.typed) {
+          matrix[row * size + column] = lightestWeight(parallel);
+        } else {
+          matrix[row][column] = lightestWeight(parallel);
+        }
+      }
+    });
+    return { order: order.slice(), matrix };
+  }
+
+  // A Map keeps keys of any type apart: key -> [neighbour], or key -> Map(neighbour -> weight)
+  // for weighted graphs
+  toAdjacencyList() {
+    const list = new Map();
+    for (const [id, key] of this.idToKeyTable) {
+      const row = this.links.get(id);
+      if (this.isWeighted) {
+        const weights = new Map();
+        for (const [neighbourId, parallel] of row) {
+          weights.set(this.idToKeyTable.get(neighbourId), lightestWeight(parallel));
+        }
+        list.set(key, weights);
+      } else {
+        list.set(key, keysOf(this, row.keys()));
+      }
+    }
+    return list;
+  }
+
+  static fromAdjacencyMatrix(matrix, keys, options = {}) {
+    const size = Array.isArray(matrix) ? matrix.length : Math.round(Math.sqrt(matrix.length));
+    if (!Array.isArray(matrix) && size * size !== matrix.length) {
+      throw new Error("A flat adjacency matrix must have a square number of entries");
+    }
+    const entry = Array.isArray(matrix)
+      ? (row, column) => matrix[row][column]
+      : (row, column) => matrix[row * size + column];
+    keys = keys || Array.from({ length: size }, (_, index) => index);
+    if (keys.length !== size) {
+      throw new Error(`Expected ${size} keys for a ${size}x${size} matrix, got ${keys.length}`);
+    }
+    const fill = options.fill !== undefined ? options.fill : 0;
+    const isEdge = (value) => value !== undefined && value !== null && !Object.is(value, fill);
+
+    let asymmetry = null;
+    let hasWeights = false;
+    let hasSelfLoops = false;
+    for (let row = 0; row < size; row++) {
+      if (Array.isArray(matrix) && (!matrix[row] || matrix[row].length !== size)) {
+        throw new Error(`Row ${row} of the adjacency matrix must have ${size} entries`);
+      }
+      for (let column = 0; column < size; column++) {
+        const value = entry(row, column);
+        if (!isEdge(value)) continue;
+        if (value !== 1) hasWeights = true;
+        if (row === column) hasSelfLoops = true;
+        if (asymmetry === null && !Object.is(value, entry(column, row))) asymmetry = [row, column];
+      }
+    }
+
+    const isDirected = options.directed !== undefined ? options.directed : asymmetry !== null;
+    if (!isDirected && asymmetry !== null) {
+      const [row, column] = asymmetry;
+      throw new Error(
+        `An undirected graph needs a symmetric adjacency matrix, but [${row}][${column}] is ` +
+          `${entry(row, column)} and [${column}][${row}] is ${entry(column, row)}`
+      );
+    }
+    const isWeighted = options.weighted !== undefined ? options.weighted : hasWeights;
+    const graph = new Graph(isDirected, isWeighted, {
+      keyFn: options.keyFn,
+      allowSelfLoops: options.allowSelfLoops !== undefined ? options.allowSelfLoops : hasSelfLoops,
+    });
+    for (const key of keys) {
+      graph.addNode(key);
+    }
+    for (let row = 0; row < size; row++) {
+      for (let column = isDirected ? 0 : row; column < size; column++) {
+        const value = entry(row, column);
+        if (isEdge(value)) {
+          graph.addLink(keys[row], keys[column], value);
+        }
+      }
+    }
+    return graph;
+  }
+
+  // Plain-object input can only carry string keys, so array neighbours are read as
+  // strings too; pass a Map to keep numbers or objects as keys.
+  static fromAdjacencyList(list, options = {}) {
+    const isMap = list instanceof Map;
+    const entries = isMap ? Array.from(list) : Object.entries(list);
+    const neighbourEntries = (neighbours) => {
+      if (Array.isArray(neighbours)) {
+        return neighbours.map((neighbour) => [isMap ? neighbour : String(neighbour), undefined]);
+      }
+      return neighbours instanceof Map ? Array.from(neighbours) : Object.entries(neighbours);
+    };
+    const isWeighted = options.weighted !== undefined
+      ? options.weighted
+      : entries.some(([, neighbours]) => !Array.isArray(neighbours));
+    const graph = new Graph(Boolean(options.directed), isWeighted, {
+      keyFn: options.keyFn,
+      allowSelfLoops: options.allowSelfLoops,
+    });
+    for (const [key] of entries) {
+      graph.addNode(key);
+    }
+    for (const [key, neighbours] of entries) {
+      for (const [neighbour, weight] of neighbourEntries(neighbours)) {
+        graph.addLink(key, neighbour, weight);
+      }
+    }
+    return graph;
+  }
+
+  subgraph(keys) {
+    const ids = new Set();
+    for (const key of keys) {
+      if (this.hasNode(key)) {
+        ids.add(idOf(this, key));
+      }
+    }
+    return copyFiltered(this, (key) => ids.has(idOf(this, key)), () => true);
+  }
+
+  filter(predicates = {}) {
+    const { node = () => true, edge = () => true } = predicates;
+    return copyFiltered(this, node, edge);
+  }
+
+  view(predicates = {}) {
+    return new GraphView(this, predicates);
+  }
+
+  reverse() {
+    const result = emptyLike(this);
+    copyNodes(result, this);
+    for (const edge of this.edgeTable.values()) {
+      const record = edgeRecord(this, edge);
+      insertEdge(result, record.target, record.source, record.weight, record.attributes, record.id);
+    }
+    copyMembership(result, this);
+    return result;
+  }
+
+  clone() {
+    return copyFiltered(this, () => true, () => true);
+  }
+
+  toUndirected(options = {}) {
     if (!this.isDirected) {
-      delete this.links[id2][id1];
+      return this.clone();
     }
-    return true;
+    const merge = weightMerger(options.merge || "min");
+    const result = new Graph(false, this.isWeighted, {
+      allowSelfLoops: this.allowSelfLoops,
+      keyFn: this.keyFn,
+    });
+    copyNodes(result, this);
+    // Reciprocal arcs and parallel edges collapse into a single undirected edge
+    for (const edge of this.edgeTable.values()) {
+      const { source, target, weight, attributes } = edgeRecord(this, edge);
+      if (result.hasLink(source, target)) {
+        result.setLinkWeight(source, target, merge(result.linkWeight(source, target), weight));
+        result.updateLinkAttributes(source, target, attributes);
+      } else {
+        result.addLink(source, target, weight, attributes);
+      }
+    }
+    copyMembership(result, this);
+    return result;
   }
 
-  linkWeight(key1, key2) {
-    if (!this.hasLink(key1, key2)) {
-      return undefined;
-    } else {
-      return this.links[this.keyToIdTable[key1]][this.keyToIdTable[key2]];
+  toDirected() {
+    if (this.isDirected) {
+      return this.clone();
+    }
+    const result = emptyLike(this, true, this.isWeighted);
+    copyNodes(result, this);
+    for (const edge of this.edgeTable.values()) {
+      const { source, target, weight, attributes } = edgeRecord(this, edge);
+      result.addEdge(source, target, weight, attributes);
+      if (edge.source !== edge.target) {
+        result.addEdge(target, source, weight, attributes);
+      }
     }
+    copyMembership(result, this);
+    return result;
   }
 
-  connectedWith(key) {
-    if (!this.hasNode(key)) {
-      return undefined;
+  toUnweighted() {
+    return copyReweighted(this, false, () => 1);
+  }
+
+  toWeighted(defaultWeight = 1) {
+    if (typeof defaultWeight !== "number" || !isFinite(defaultWeight)) {
+      throw new TypeError("Weight must be a finite number");
+    }
+    return copyReweighted(this, true, (record) => (this.isWeighted ? record.weight : defaultWeight));
+  }
+
+  static union(graph1, graph2, options = {}) {
+    const result = combinedLike(graph1, graph2);
+    const merge = weightMerger(options.weightMerge);
+    copyNodes(result, graph1);
+    copyNodes(result, graph2);
+    for (const { source, target, weight, attributes } of linkPairs(graph1)) {
+      result.addLink(source, target, weight, attributes);
     }
-    const result = [];
-    const ids = Object.keys(this.links[this.keyToIdTable[key]]);
-    for (const id of ids) {
-      result.push(this.idToKeyTable[id]);
+    for (const { source, target, weight, attributes } of linkPairs(graph2)) {
+      if (result.hasLink(source, target)) {
+        result.setLinkWeight(source, target, merge(result.linkWeight(source, target), weight));
+        result.updateLinkAttributes(source, target, attributes);
+      } else {
+        result.addLink(source, target, weight, attributes);
+      }
     }
+    copyMembership(result, graph1);
+    copyMembership(result, graph2);
     return result;
   }
 
-  removeNode(key) {
-    if (!this.hasNode(key)) {
-      return false;
+  static intersection(graph1, graph2, options = {}) {
+    const result = combinedLike(graph1, graph2);
+    const merge = weightMerger(options.weightMerge);
+    copyNodes(result, graph1, (key) => graph2.hasNode(key));
+    copyNodes(result, graph2, (key) => graph1.hasNode(key));
+    for (const { source, target, weight, attributes } of linkPairs(graph1)) {
+      if (graph2.hasLink(source, target)) {
+        const merged = merge(weight, graph2.linkWeight(source, target));
+        result.addLink(source, target, merged, { ...attributes, ...graph2.getLinkAttributes(source, target) });
+      }
     }
-    const neighbours = this.connectedWith(key);
-    for (const neighbour of neighbours) {
-      this.removeLink(key, neighbour);
-      if (this.isDirected) {
-        this.removeLink(neighbour, key);
+    for (const key of graph1.getMainNodes()) {
+      if (isMain(graph2, key)) {
+        result.setMainNode(key);
       }
     }
-    const id = this.keyToIdTable[key];
-    delete this.links[id];
-    delete this.keyToIdTable[key];
-    delete this.idToKeyTable[id];
-    return true;
+    return result;
   }
 
-  nodes() {
-    const res = [];
-    for (const id in this.idToKeyTable) {
-      res.push(this.idToKeyTable[id]);
+  static difference(graph1, graph2) {
+    const result = combinedLike(graph1, graph2);
+    copyNodes(result, graph1);
+    for (const { source, target, weight, attributes } of linkPairs(graph1)) {
+      if (!graph2.hasLink(source, target)) {
+        result.addLink(source, target, weight, attributes);
+      }
     }
-    return res;
+    copyMembership(result, graph1);
+    return result;
   }
 
-  setMainNode(key) {
-    if (this.hasNode(key)) {
-      this.mainNodes.add(key);
-      return true;
+  static complement(graph) {
+    const result = new Graph(graph.isDirected, graph.isWeighted, { keyFn: graph.keyFn });
+    copyNodes(result, graph);
+    const keys = graph.nodes();
+    keys.forEach((source, i) => {
+      keys.forEach((target, j) => {
+        if (i === j || (!graph.isDirected && j < i)) return;
+        if (!graph.hasLink(source, target)) {
+          result.addLink(source, target);
+        }
+      });
+    });
+    copyMembership(result, graph);
+    return result;
+  }
+
+  enableHistory(options = {}) {
+    const depth = options.depth !== undefined ? options.depth : DEFAULT_HISTORY_DEPTH;
+    if (!Number.isInteger(depth) || depth < 1) {
+      throw new RangeError("History depth must be a positive integer");
+    }
+    if (this.history === null) {
+      this.history = { depth, undoStack: [], redoStack: [] };
+    } else {
+      this.history.depth = depth;
+      this.history.undoStack.splice(0, Math.max(0, this.history.undoStack.length - depth));
     }
-    return false;
   }
 
-  getMainNodes() {
-    return Array.from(this.mainNodes);
+  disableHistory() {
+    this.history = null;
+  }
+
+  clearHistory() {
+    if (this.history !== null) {
+      this.history.undoStack = [];
+      this.history.redoStack = [];
+    }
+  }
+
+  canUndo() {
+    return this.history !== null && this.history.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.history !== null && this.history.redoStack.length > 0;
+  }
+
+  undo() {
+    if (this.pendingChanges !== null) {
+      throw new Error("Cannot undo while a transaction is in progress");
+    }
+    if (!this.canUndo()) {
+      return false;
+    }
+    const changes = this.history.undoStack.pop();
+    replay(this, changes, false);
+    this.history.redoStack.push(changes);
+    return true;
+  }
+
+  redo() {
+    if (this.pendingChanges !== null) {
+      throw new Error("Cannot redo while a transaction is in progress");
+    }
+    if (!this.canRedo()) {
+      return false;
+    }
+    const changes = this.history.redoStack.pop();
+    replay(this, changes, true);
+    this.history.undoStack.push(changes);
+    return true;
+  }
+
+  transaction(fn) {
+    if (this.replaying) {
+      return fn(this);
+    }
+    const isOutermost = this.pendingChanges === null;
+    if (isOutermost) {
+      this.pendingChanges = [];
+    }
+    const savepoint = this.pendingChanges.length;
+    try {
+      return fn(this);
+    } catch (error) {
+      replay(this, this.pendingChanges.splice(savepoint), false);
+      throw error;
+    } finally {
+      if (isOutermost) {
+        const changes = this.pendingChanges;
+        this.pendingChanges = null;
+        commitChanges(this, changes);
+      }
+    }
   }
 
   dijkstra(startKey, endKey) {
@@ -143,91 +1866,330 @@ class Graph {
       return { path: [], distance: Infinity };
     }
 
-    const distances = {};
-    const previous = {};
-    const visited = new Set();
-    const queue = [];
+    const startId = idOf(this, startKey);
+    const endId = idOf(this, endKey);
+    const { distances, predecessors } = shortestPaths(this, startId, endId);
+    if (!distances.has(endId)) {
+      return { path: [], distance: Infinity };
+    }
+    return { path: keysOf(this, tracePath(predecessors, endId)), distance: distances.get(endId) };
+  }
+
+  shortestPathTree(startKey) {
+    if (!this.hasNode(startKey)) {
+      return pathTree(this, null, new Map(), new Map());
+    }
+    const startId = idOf(this, startKey);
+    const { distances, predecessors } = shortestPaths(this, startId, null);
+    return pathTree(this, startId, distances, predecessors);
+  }
 
-    for (const node of this.nodes()) {
-      distances[node] = Infinity;
-      previous[node] = null;
+  // heuristic is a built-in name or a function; it must never overestimate the remaining
+  // cost for the result to be optimal. weight > 1 trades that guarantee for fewer expansions.
+  aStar(startKey, goalKey, options = {}) {
+    const { heuristic = () => 0, weight = 1 } = options;
+    const estimate = typeof heuristic === "function" ? heuristic : HEURISTICS[heuristic];
+    if (estimate === undefined) {
+      throw new Error(`Unknown heuristic '${heuristic}', expected one of ${Object.keys(HEURISTICS).join(", ")} or a function`);
+    }
+    if (typeof weight !== "number" || !(weight >= 0)) {
+      throw new RangeError("Heuristic weight must be a non-negative number");
     }
-    distances[startKey] = 0;
-    queue.push(startKey);
+    if (!this.hasNode(startKey) || !this.hasNode(goalKey)) {
+      return { path: [], distance: Infinity, expanded: 0 };
+    }
+
+    const startId = idOf(this, startKey);
+    const goalId = idOf(this, goalKey);
+    const goal = this.idToKeyTable.get(goalId);
+    const goalAttributes = { ...this.nodeAttributes.get(goalId) };
+    const estimates = new Map();
+    const estimateFrom = (id) => {
+      if (!estimates.has(id)) {
+        const key = this.idToKeyTable.get(id);
+        estimates.set(id, weight * estimate({ ...this.nodeAttributes.get(id) }, goalAttributes, key, goal));
+      }
+      return estimates.get(id);
+    };
+
+    const distances = new Map([[startId, 0]]);
+    const predecessors = new Map([[startId, []]]);
+    const queue = new BinaryHeap();
+    queue.push(startId, estimateFrom(startId));
+    let expanded = 0;
+
+    while (!queue.isEmpty()) {
+      const current = queue.pop();
+      expanded++;
+      if (current === goalId) {
+        return { path: keysOf(this, tracePath(predecessors, goalId)), distance: distances.get(goalId), expanded };
+      }
 
-    while (queue.length > 0) {
-      queue.sort((a, b) => distances[a] - distances[b]);
-      const current = queue.shift();
+      for (const [neighbor, parallel] of this.links.get(current)) {
+        const alt = distances.get(current) + nonNegativeWeight(this, current, neighbor, parallel);
+        if (alt >= (distances.has(neighbor) ? distances.get(neighbor) : Infinity)) continue;
+        distances.set(neighbor, alt);
+        predecessors.set(neighbor, [current]);
+        // Requeueing already expanded nodes keeps results optimal under inconsistent heuristics
+        const priority = alt + estimateFrom(neighbor);
+        if (queue.has(neighbor)) {
+          queue.decreaseKey(neighbor, priority);
+        } else {
+          queue.push(neighbor, priority);
+        }
+      }
+    }
+    return { path: [], distance: Infinity, expanded };
+  }
 
-      if (visited.has(current)) continue;
-      visited.add(current);
+  // Yen's algorithm: the k cheapest loopless paths, cheapest first
+  kShortestPaths(startKey, endKey, k) {
+    if (!Number.isInteger(k) || k < 1) {
+      throw new RangeError("k must be a positive integer");
+    }
+    if (!this.hasNode(startKey) || !this.hasNode(endKey)) {
+      return [];
+    }
+    const startId = idOf(this, startKey);
+    const endId = idOf(this, endKey);
+    const first = shortestPaths(this, startId, endId);
+    if (!first.distances.has(endId)) {
+      return [];
+    }
 
-      if (current === endKey) break;
+    const accepted = [{ ids: tracePath(first.predecessors, endId), distance: first.distances.get(endId) }];
+    const seen = new Set([accepted[0].ids.join()]);
+    const candidates = new Map();
+    const queue = new BinaryHeap();
 
-      const neighbors = this.connectedWith(current);
-      if (neighbors) {
-        for (const neighbor of neighbors) {
-          if (!visited.has(neighbor)) {
-            const alt = distances[current] + this.linkWeight(current, neighbor);
-            if (alt < distances[neighbor]) {
-              distances[neighbor] = alt;
-              previous[neighbor] = current;
-              if (!queue.includes(neighbor)) {
-                queue.push(neighbor);
-              }
-            }
+    while (accepted.length < k) {
+      const previousPath = accepted[accepted.length - 1].ids;
+      for (let j = 0; j < previousPath.length - 1; j++) {
+        const spurId = previousPath[j];
+        const root = previousPath.slice(0, j + 1);
+        const rootNodes = new Set(root.slice(0, -1));
+        // Leave the next hop of every accepted path sharing this root, so the spur has to diverge
+        const blockedHops = new Set();
+        for (const { ids } of accepted) {
+          if (ids.length > j + 1 && root.every((id, index) => ids[index] === id)) {
+            blockedHops.add(ids[j + 1]);
           }
         }
+        const weightOf = (graph, source, target, parallel) => {
+          if (rootNodes.has(target) || (source === spurId && blockedHops.has(target))) {
+            return Infinity;
+          }
+          return nonNegativeWeight(graph, source, target, parallel);
+        };
+        const spur = shortestPaths(this, spurId, endId, weightOf);
+        if (!spur.distances.has(endId)) continue;
+        const ids = root.concat(tracePath(spur.predecessors, endId).slice(1));
+        const signature = ids.join();
+        if (seen.has(signature)) continue;
+        seen.add(signature);
+        const distance = pathCost(this, root) + spur.distances.get(endId);
+        candidates.set(signature, { ids, distance });
+        queue.push(signature, distance);
       }
+      if (queue.isEmpty()) break;
+      const next = queue.pop();
+      accepted.push(candidates.get(next));
+      candidates.delete(next);
     }
 
-    const path = [];
-    let current = endKey;
-    while (current !== null) {
-      path.unshift(current);
-      current = previous[current];
+    return accepted.map(({ ids, distance }) => ({ path: keysOf(this, ids), distance }));
+  }
+
+  // algorithm: "floyd-warshall" (O(V³)), "johnson" (O(VE log V)) or "auto", which picks
+  // johnson for sparse graphs. matrix rows and columns follow order.
+  allPairsShortestPaths(options = {}) {
+    const { algorithm = "auto" } = options;
+    const ids = Array.from(this.idToKeyTable.keys());
+    const arcs = arcsOf(this);
+    let chosen = algorithm;
+    if (algorithm === "auto") {
+      chosen = arcs.length * Math.log2(ids.length + 1) < ids.length * ids.length ? "johnson" : "floyd-warshall";
+    } else if (algorithm !== "floyd-warshall" && algorithm !== "johnson") {
+      throw new Error(`Unknown algorithm '${algorithm}', expected one of floyd-warshall, johnson or auto`);
     }
+    const { distances, previous, negativeCycle } =
+      chosen === "johnson" ? johnson(this, ids, arcs) : floydWarshall(this, ids, arcs);
 
-    if (path.length === 0 || path[0] !== startKey) {
-      return { path: [], distance: Infinity };
+    const n = ids.length;
+    const order = keysOf(this, ids);
+    const indexOf = new Map(ids.map((id, index) => [id, index]));
+    const indexFor = (key) => (this.hasNode(key) ? indexOf.get(idOf(this, key)) : undefined);
+    const result = {
+      algorithm: chosen,
+      order,
+      matrix: null,
+      negativeCycle: null,
+      distance(key1, key2) {
+        const i = indexFor(key1);
+        const j = indexFor(key2);
+        return distances && i !== undefined && j !== undefined ? distances[i * n + j] : Infinity;
+      },
+      path(key1, key2) {
+        const i = indexFor(key1);
+        const j = indexFor(key2);
+        if (!distances || i === undefined || j === undefined || distances[i * n + j] === Infinity) {
+          return { path: [], distance: Infinity };
+        }
+        const path = [j];
+        while (path[path.length - 1] !== i) {
+          path.push(previous[i * n + path[path.length - 1]]);
+        }
+        return { path: path.reverse().map((index) => order[index]), distance: distances[i * n + j] };
+      },
+    };
+    if (negativeCycle !== null) {
+      // Distances are unbounded below, so only the cycle is reported
+      result.negativeCycle = keysOf(this, negativeCycle);
+      return result;
+    }
+    result.matrix = order.map((_, i) => Array.from(distances.subarray(i * n, (i + 1) * n)));
+    return result;
+  }
+
+  // Like shortestPathTree but accepts negative weights. When a negative cycle is
+  // reachable, negativeCycle lists it as [a, b, ..., a] and no distances are reported.
+  bellmanFord(startKey) {
+    if (!this.hasNode(startKey)) {
+      return { ...pathTree(this, null, new Map(), new Map()), negativeCycle: null };
+    }
+    const startId = idOf(this, startKey);
+    const arcs = arcsOf(this);
+    const { distances, parents, negativeCycle } = relax(this, arcs, [startId]);
+    if (negativeCycle !== null) {
+      return { ...pathTree(this, startId, new Map(), new Map()), negativeCycle: keysOf(this, negativeCycle) };
+    }
+    const predecessors = equalCostPredecessors(arcs, distances, parents);
+    return { ...pathTree(this, startId, distances, predecessors), negativeCycle: null };
+  }
+
+  // Lazily yields loopless paths (arrays of keys) in depth-first order. maxDepth counts
+  // links, maxWeight prunes on the running total of lightest link weights, avoid lists
+  // keys no path may pass through and an aborted signal stops the walk with its reason.
+  *paths(startKey, endKey, options = {}) {
+    const { maxDepth = Infinity, maxPaths = Infinity, maxWeight = Infinity, avoid = [], signal } = options;
+    if (!this.hasNode(startKey) || !this.hasNode(endKey) || maxPaths < 1) {
+      return;
+    }
+    const startId = idOf(this, startKey);
+    const endId = idOf(this, endKey);
+    const avoided = new Set();
+    for (const key of avoid) {
+      if (this.hasNode(key)) {
+        avoided.add(idOf(this, key));
+      }
+    }
+    if (avoided.has(startId) || avoided.has(endId)) {
+      return;
+    }
+    if (startId === endId) {
+      yield [this.idToKeyTable.get(startId)];
+      return;
+    }
+    // Any other path needs at least one link
+    if (maxDepth < 1) {
+      return;
+    }
+
+    // One neighbour iterator per node on the current path replaces the call stack
+    const path = [startId];
+    const weights = [0];
+    const onPath = new Set(path);
+    const stack = [this.links.get(startId).entries()];
+    let found = 0;
+
+    while (stack.length > 0) {
+      if (signal) {
+        signal.throwIfAborted();
+      }
+      const step = stack[stack.length - 1].next();
+      if (step.done) {
+        stack.pop();
+        onPath.delete(path.pop());
+        weights.pop();
+        continue;
+      }
+      const [neighbor, parallel] = step.value;
+      if (onPath.has(neighbor) || avoided.has(neighbor)) continue;
+      const weight = weights[weights.length - 1] + lightestWeight(parallel);
+      if (weight > maxWeight) continue;
+
+      if (neighbor === endId) {
+        yield keysOf(this, path.concat(neighbor));
+        if (++found >= maxPaths) return;
+        continue;
+      }
+      // Going deeper only pays off if one more link still fits within maxDepth
+      if (path.length >= maxDepth) continue;
+      path.push(neighbor);
+      weights.push(weight);
+      onPath.add(neighbor);
+      stack.push(this.links.get(neighbor).entries());
     }
+  }
 
-    return { path, distance: distances[endKey] };
+  findAllPaths(startKey, endKey, options = {}) {
+    return Array.from(this.paths(startKey, endKey, options));
   }
 
-  findAllPaths(startKey, endKey, visited = new Set(), path = []) {
-    if (!this.hasNode(startKey) || !this.hasNode(endKey)) {
+  // Visitor hooks: onDiscover(key, depth, parent), onEdge(source, target, type) and
+  // onFinish(key, depth); returning false from any of them stops the traversal.
+  // Returns the discovered keys in order.
+  bfs(startKey, visitor = {}) {
+    if (!this.hasNode(startKey)) {
+      return [];
+    }
+    return visit(breadthFirst(this, idOf(this, startKey), typeof visitor.onEdge === "function"), visitor);
+  }
+
+  dfs(startKey, visitor = {}) {
+    if (!this.hasNode(startKey)) {
       return [];
     }
+    return visit(depthFirst(this, idOf(this, startKey)), visitor);
+  }
 
-    visited.add(startKey);
-    path.push(startKey);
+  *bfsEntries(startKey) {
+    if (this.hasNode(startKey)) {
+      yield* discoveries(breadthFirst(this, idOf(this, startKey), false));
+    }
+  }
 
-    if (startKey === endKey) {
-      return [path.slice()];
+  *dfsEntries(startKey) {
+    if (this.hasNode(startKey)) {
+      yield* discoveries(depthFirst(this, idOf(this, startKey)));
     }
+  }
 
-    const allPaths = [];
-    const neighbors = this.connectedWith(startKey);
-    
-    if (neighbors) {
-      for (const neighbor of neighbors) {
-        if (!visited.has(neighbor)) {
-          const paths = this.findAllPaths(neighbor, endKey, visited, path);
-          allPaths.push(...paths);
+  // Fewest links from start to end, ignoring weights; distance is the number of links
+  bfsPath(startKey, endKey) {
+    if (!this.hasNode(startKey) || !this.hasNode(endKey)) {
+      return { path: [], distance: Infinity };
+    }
+    const end = this.idToKeyTable.get(idOf(this, endKey));
+    const parents = new Map();
+    for (const { key, depth, parent } of this.bfsEntries(startKey)) {
+      parents.set(key, parent);
+      if (key === end) {
+        const path = [key];
+        while (path.length <= depth) {
+          path.push(parents.get(path[path.length - 1]));
         }
+        return { path: path.reverse(), distance: depth };
       }
     }
-
-    path.pop();
-    visited.delete(startKey);
-    return allPaths;
+    return { path: [], distance: Infinity };
   }
 }
 
-export function createGraph(isDirected, isWeighted) {
-  return function () {
-    return new Graph(isDirected, isWeighted);
+// Options given to the returned factory, such as keyFn, override the ones fixed here
+export function createGraph(isDirected, isWeighted, options = {}) {
+  return function (callOptions = {}) {
+    return new Graph(isDirected, isWeighted, { ...options, ...callOptions });
   };
 }
 
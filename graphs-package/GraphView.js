@@ -0,0 +1,256 @@
+const MUTATORS = [
+  "addNode",
+  "addLink",
+  "addEdge",
+  "removeNode",
+  "removeLink",
+  "removeEdge",
+  "setLinkWeight",
+  "setEdgeWeight",
+  "setNodeAttribute",
+  "updateNodeAttributes",
+  "removeNodeAttribute",
+  "setLinkAttribute",
+  "updateLinkAttributes",
+  "removeLinkAttribute",
+  "setEdgeAttribute",
+  "updateEdgeAttributes",
+  "removeEdgeAttribute",
+  "setMainNode",
+  "unsetMainNode",
+  "clearMainNodes",
+  "addToGroup",
+  "removeFromGroup",
+  "clear",
+  "transaction",
+  "undo",
+  "redo",
+];
+
+class GraphView {
+  constructor(graph, predicates = {}) {
+    this.graph = graph;
+    this.nodePredicate = predicates.node || (() => true);
+    this.edgePredicate = predicates.edge || (() => true);
+  }
+
+  get isDirected() {
+    return this.graph.isDirected;
+  }
+
+  get isWeighted() {
+    return this.graph.isWeighted;
+  }
+
+  get order() {
+    return this.nodes().length;
+  }
+
+  get size() {
+    return this.edges().length;
+  }
+
+  type() {
+    return this.graph.type();
+  }
+
+  hasNode(key) {
+    return this.graph.hasNode(key) && this.nodePredicate(key, this.graph.getNodeAttributes(key));
+  }
+
+  hasEdge(edgeId) {
+    return this.getEdge(edgeId) !== undefined;
+  }
+
+  includesEdge(edge) {
+    return this.hasNode(edge.source) && this.hasNode(edge.target) && this.edgePredicate(edge);
+  }
+
+  hasLink(key1, key2) {
+    return this.linksBetween(key1, key2).length > 0;
+  }
+
+  nodes() {
+    return this.graph.nodes().filter((key) => this.hasNode(key));
+  }
+
+  *nodeEntries() {
+    for (const entry of this.graph.nodeEntries()) {
+      if (this.nodePredicate(entry.key, entry.attributes)) {
+        yield entry;
+      }
+    }
+  }
+
+  *edgeEntries() {
+    for (const edge of this.graph.edgeEntries()) {
+      if (this.includesEdge(edge)) {
+        yield edge;
+      }
+    }
+  }
+
+  *[Symbol.iterator]() {
+    for (const { key } of this.nodeEntries()) {
+      yield key;
+    }
+  }
+
+  edges() {
+    return Array.from(this.edgeEntries());
+  }
+
+  forEachNode(callback) {
+    for (const { key, attributes } of this.nodeEntries()) {
+      callback(key, attributes, this);
+    }
+  }
+
+  forEachEdge(callback) {
+    for (const edge of this.edgeEntries()) {
+      callback(edge, this);
+    }
+  }
+
+  getEdge(edgeId) {
+    const edge = this.graph.getEdge(edgeId);
+    return edge !== undefined && this.includesEdge(edge) ? edge : undefined;
+  }
+
+  edgesOf(key) {
+    if (!this.hasNode(key)) {
+      return undefined;
+    }
+    return this.graph.edgesOf(key).filter((edge) => this.includesEdge(edge));
+  }
+
+  linksBetween(key1, key2) {
+    if (!this.hasNode(key1) || !this.hasNode(key2)) {
+      return [];
+    }
+    return this.graph.linksBetween(key1, key2).filter((edge) => this.edgePredicate(edge));
+  }
+
+  linkWeight(key1, key2) {
+    const parallel = this.linksBetween(key1, key2);
+    if (parallel.length === 0) {
+      return undefined;
+    }
+    return Math.min(...parallel.map((edge) => edge.weight));
+  }
+
+  getNodeAttributes(key) {
+    return this.hasNode(key) ? this.graph.getNodeAttributes(key) : undefined;
+  }
+
+  getNodeAttribute(key, name) {
+    return this.hasNode(key) ? this.graph.getNodeAttribute(key, name) : undefined;
+  }
+
+  getLinkAttributes(key1, key2) {
+    const parallel = this.linksBetween(key1, key2);
+    return parallel.length > 0 ? parallel[0].attributes : undefined;
+  }
+
+  getLinkAttribute(key1, key2, name) {
+    const attributes = this.getLinkAttributes(key1, key2);
+    return attributes !== undefined ? attributes[name] : undefined;
+  }
+
+  getEdgeAttributes(edgeId) {
+    const edge = this.getEdge(edgeId);
+    return edge !== undefined ? edge.attributes : undefined;
+  }
+
+  getEdgeAttribute(edgeId, name) {
+    const edge = this.getEdge(edgeId);
+    return edge !== undefined ? edge.attributes[name] : undefined;
+  }
+
+  connectedWith(key) {
+    if (!this.hasNode(key)) {
+      return undefined;
+    }
+    return this.graph.connectedWith(key).filter((neighbour) => this.hasLink(key, neighbour));
+  }
+
+  outNeighbors(key) {
+    return this.connectedWith(key);
+  }
+
+  inNeighbors(key) {
+    if (!this.hasNode(key)) {
+      return undefined;
+    }
+    return this.graph.inNeighbors(key).filter((neighbour) => this.hasLink(neighbour, key));
+  }
+
+  neighbors(key) {
+    if (!this.hasNode(key)) {
+      return undefined;
+    }
+    if (!this.isDirected) {
+      return this.connectedWith(key);
+    }
+    return Array.from(new Set([...this.outNeighbors(key), ...this.inNeighbors(key)]));
+  }
+
+  outDegree(key) {
+    if (!this.hasNode(key)) {
+      return undefined;
+    }
+    if (!this.isDirected) {
+      return this.degree(key);
+    }
+    return this.connectedWith(key).reduce((count, neighbour) => count + this.linksBetween(key, neighbour).length, 0);
+  }
+
+  inDegree(key) {
+    if (!this.hasNode(key)) {
+      return undefined;
+    }
+    if (!this.isDirected) {
+      return this.degree(key);
+    }
+    return this.inNeighbors(key).reduce((count, neighbour) => count + this.linksBetween(neighbour, key).length, 0);
+  }
+
+  degree(key) {
+    if (!this.hasNode(key)) {
+      return undefined;
+    }
+    if (this.isDirected) {
+      return this.inDegree(key) + this.outDegree(key);
+    }
+    // A self-loop touches its node twice
+    return this.edgesOf(key).length + this.linksBetween(key, key).length;
+  }
+
+  getMainNodes() {
+    return this.graph.getMainNodes().filter((key) => this.hasNode(key));
+  }
+
+  getGroup(group) {
+    return this.graph.getGroup(group).filter((key) => this.hasNode(key));
+  }
+
+  groupsOf(key) {
+    return this.hasNode(key) ? this.graph.groupsOf(key) : undefined;
+  }
+
+  materialize() {
+    return this.graph.filter({ node: this.nodePredicate, edge: this.edgePredicate });
+  }
+
+  toJSON() {
+    return this.materialize().toJSON();
+  }
+}
+
+for (const name of MUTATORS) {
+  GraphView.prototype[name] = function () {
+    throw new TypeError(`Cannot call ${name}() on a read-only graph view`);
+  };
+}
+
+export default GraphView;
@@ -1,5 +1,15 @@
 import * as d3 from 'd3';
 
+const NODE_SHAPES = {
+  circle: d3.symbolCircle,
+  square: d3.symbolSquare,
+  diamond: d3.symbolDiamond,
+  triangle: d3.symbolTriangle,
+  star: d3.symbolStar,
+  cross: d3.symbolCross,
+  wye: d3.symbolWye
+};
+
 class GraphVisualizer {
   constructor() {
     this.svg = null;
@@ -9,12 +19,16 @@ class GraphVisualizer {
     this.defaultOptions = {
       layout: 'force',
       nodeColor: '#667eea',
+      mainNodeColor: '#e74c3c',
+      groupStyles: {},
+      showLegend: true,
       edgeColor: '#34495e',
       backgroundColor: '#fafafa',
       animated: true,
       nodeRadius: 20,
       minEdgeWidth: 1,
-      maxEdgeWidth: 8
+      maxEdgeWidth: 8,
+      parallelEdgeSpacing: 20
     };
   }
 
@@ -170,13 +184,16 @@ class GraphVisualizer {
     graphNodes.forEach((nodeId, index) => {
       const angle = (index / graphNodes.length) * 2 * Math.PI;
       const radius = Math.min(width, height) / 4;
+      const attributes = graph.getNodeAttributes ? graph.getNodeAttributes(nodeId) || {} : {};
       
       const node = {
         id: nodeId,
-        label: this.truncateLabel(nodeId.toString()),
+        label: this.truncateLabel(String(attributes.label ?? nodeId)),
         originalId: nodeId,
         index: index,
         isMain: mainNodes.has(nodeId),
+        groups: graph.groupsOf ? graph.groupsOf(nodeId) || [] : [],
+        attributes: attributes,
         x: width / 2 + Math.cos(angle) * radius,
         y: height / 2 + Math.sin(angle) * radius
       };
@@ -184,59 +201,52 @@ class GraphVisualizer {
       nodeMap.set(nodeId, node);
     });
 
-    const addedEdges = new Set();
     const isDirected = graph.isDirected !== undefined ? graph.isDirected : 
                      (graph.constructor.name.includes('Directed'));
+    const parallelGroups = new Map();
 
-    graphNodes.forEach(node1 => {
-      try {
-        const connected = graph.connectedWith(node1);
-        if (!connected || !Array.isArray(connected)) {
-          return;
-        }
-        
-        connected.forEach(node2 => {
-          if (!nodeMap.has(node1) || !nodeMap.has(node2)) {
-            return;
-          }
-          
-          const edgeKey = isDirected ? 
-            `${node1}->${node2}` : 
-            [node1, node2].sort().join('<->');
-
-          if (!addedEdges.has(edgeKey)) {
-            addedEdges.add(edgeKey);
-            
-            let weight = 1;
-            if (graph.linkWeight) {
-              try {
-                weight = graph.linkWeight(node1, node2);
-                if (weight === undefined || weight === null || isNaN(weight)) {
-                  weight = 1;
-                }
-              } catch (e) {
-                weight = 1;
-              }
-            }
-            
-            const link = {
-              source: nodeMap.get(node1),
-              target: nodeMap.get(node2),
-              weight: weight,
-              originalSource: node1,
-              originalTarget: node2
-            };
-            
-            if (isActuallyWeighted && weight !== 1) {
-              link.label = weight.toString();
-            }
-            
-            links.push(link);
-          }
-        });
-      } catch (e) {
-        console.warn('Error processing connections for node:', node1, e);
+    graph.edges().forEach(edge => {
+      const source = nodeMap.get(edge.source);
+      const target = nodeMap.get(edge.target);
+      if (!source || !target) {
+        return;
+      }
+      
+      const pairKey = isDirected ? 
+        `${source.index}->${target.index}` : 
+        [source.index, target.index].sort((a, b) => a - b).join('<->');
+      if (!parallelGroups.has(pairKey)) {
+        parallelGroups.set(pairKey, []);
+      }
+      const group = parallelGroups.get(pairKey);
+      
+      // Parallel undirected edges share one orientation so their arcs fan out instead of overlapping
+      const flip = group.length > 0 && group[0].source !== source;
+      const weight = edge.weight === undefined || edge.weight === null || isNaN(edge.weight) ? 1 : edge.weight;
+      
+      const link = {
+        id: edge.id,
+        source: flip ? target : source,
+        target: flip ? source : target,
+        weight: weight,
+        originalSource: edge.source,
+        originalTarget: edge.target,
+        attributes: edge.attributes || {}
+      };
+      
+      if (isActuallyWeighted && weight !== 1) {
+        link.label = weight.toString();
       }
+      
+      group.push(link);
+      links.push(link);
+    });
+
+    parallelGroups.forEach(group => {
+      group.forEach((link, linkIndex) => {
+        link.linkIndex = linkIndex;
+        link.linkCount = group.length;
+      });
     });
 
     console.log(`Converted graph: ${nodes.length} nodes, ${links.length} links`);
@@ -288,11 +298,23 @@ class GraphVisualizer {
         .attr('fill', config.edgeColor);
     }
 
+    this.links.forEach(d => {
+      const count = d.linkCount || 1;
+      if (d.source === d.target) {
+        d.offset = 0;
+        d.loopRadius = config.nodeRadius;
+        d.loopSize = config.nodeRadius + (d.linkIndex || 0) * config.parallelEdgeSpacing / 2;
+      } else {
+        d.offset = ((d.linkIndex || 0) - (count - 1) / 2) * config.parallelEdgeSpacing;
+      }
+    });
+
     const link = g.append('g')
       .attr('class', 'links')
-      .selectAll('line')
+      .selectAll('path')
       .data(this.links)
-      .enter().append('line')
+      .enter().append('path')
+      .attr('fill', 'none')
       .attr('stroke', config.edgeColor)
       .attr('stroke-width', d => this.getEdgeWidth(d.weight, config))
       .attr('marker-end', d => isDirected ? 'url(#arrowhead)' : null)
@@ -313,13 +335,17 @@ class GraphVisualizer {
       .attr('paint-order', 'stroke')
       .text(d => d.label);
 
+    this.nodes.forEach(d => {
+      Object.assign(d, this.nodeStyle(d, config));
+    });
+
     const node = g.append('g')
       .attr('class', 'nodes')
-      .selectAll('circle')
+      .selectAll('path')
       .data(this.nodes)
-      .enter().append('circle')
-      .attr('r', config.nodeRadius)
-      .attr('fill', d => d.isMain ? '#e74c3c' : config.nodeColor)
+      .enter().append('path')
+      .attr('d', d => this.nodeSymbol(d.shape, config.nodeRadius))
+      .attr('fill', d => d.color)
       .attr('stroke', '#ffffff')
       .attr('stroke-width', 2)
       .style('cursor', 'pointer');
@@ -338,6 +364,10 @@ class GraphVisualizer {
       .attr('pointer-events', 'none')
       .text(d => d.label);
 
+    if (config.showLegend) {
+      this.renderLegend(config);
+    }
+
     this.applyLayout(config.layout, width, height, config);
     this.setupInteractions(node, link, nodeLabels, linkLabels, config);
 
@@ -348,6 +378,60 @@ class GraphVisualizer {
     this.containerG = g;
   }
 
+  // The first of a node's groups with an entry in groupStyles decides its look
+  nodeStyle(d, config) {
+    const group = d.groups.find(name => config.groupStyles[name] !== undefined);
+    const style = group !== undefined ? config.groupStyles[group] : {};
+    return {
+      color: style.color || (d.isMain ? config.mainNodeColor : config.nodeColor),
+      shape: style.shape || 'circle'
+    };
+  }
+
+  nodeSymbol(shape, radius) {
+    const type = NODE_SHAPES[shape] || d3.symbolCircle;
+    // Match the area of a circle with the given radius so shapes look equally heavy
+    return d3.symbol().type(type).size(Math.PI * radius * radius)();
+  }
+
+  renderLegend(config) {
+    const entries = Object.entries(config.groupStyles)
+      .filter(([name]) => this.nodes.some(d => d.groups.includes(name)))
+      .map(([name, style]) => ({
+        label: name,
+        color: style.color || config.nodeColor,
+        shape: style.shape || 'circle'
+      }));
+    if (this.nodes.some(d => d.isMain)) {
+      entries.push({ label: 'main', color: config.mainNodeColor, shape: 'circle' });
+    }
+    if (entries.length === 0) {
+      return;
+    }
+
+    const legend = this.svg.append('g')
+      .attr('class', 'legend')
+      .attr('transform', 'translate(16, 16)');
+
+    const rows = legend.selectAll('g')
+      .data(entries)
+      .enter().append('g')
+      .attr('transform', (d, i) => `translate(8, ${8 + i * 22})`);
+
+    rows.append('path')
+      .attr('d', d => this.nodeSymbol(d.shape, 6))
+      .attr('fill', d => d.color)
+      .attr('stroke', '#ffffff')
+      .attr('stroke-width', 1);
+
+    rows.append('text')
+      .attr('x', 14)
+      .attr('dy', '.35em')
+      .attr('font-size', '12px')
+      .attr('fill', '#2c3e50')
+      .text(d => this.truncateLabel(d.label));
+  }
+
   applyLayout(layoutType, width, height, config) {
     switch (layoutType) {
       case 'force':
@@ -382,7 +466,7 @@ class GraphVisualizer {
     }
 
     this.simulation = d3.forceSimulation(this.nodes)
-      .force('link', d3.forceLink(this.links).id(d => d.id).distance(linkDistance))
+      .force('link', d3.forceLink(this.links.filter(link => link.source !== link.target)).id(d => d.id).distance(linkDistance))
       .force('charge', d3.forceManyBody().strength(-200))
       .force('center', d3.forceCenter(width / 2, height / 2))
       .force('collision', d3.forceCollide().radius(config.nodeRadius + 5));
@@ -507,29 +591,18 @@ class GraphVisualizer {
 
   updatePositions() {
     if (this.linkElements) {
-      this.linkElements
-        .attr('x1', d => isNaN(d.source.x) ? 0 : d.source.x)
-        .attr('y1', d => isNaN(d.source.y) ? 0 : d.source.y)
-        .attr('x2', d => isNaN(d.target.x) ? 0 : d.target.x)
-        .attr('y2', d => isNaN(d.target.y) ? 0 : d.target.y);
+      this.linkElements.attr('d', d => this.linkPath(d));
     }
 
     if (this.linkLabelElements) {
       this.linkLabelElements
-        .attr('x', d => {
-          const x = (d.source.x + d.target.x) / 2;
-          return isNaN(x) ? 0 : x;
-        })
-        .attr('y', d => {
-          const y = (d.source.y + d.target.y) / 2;
-          return isNaN(y) ? 0 : y;
-        });
+        .attr('x', d => this.linkMidpoint(d).x)
+        .attr('y', d => this.linkMidpoint(d).y);
     }
 
     if (this.nodeElements) {
       this.nodeElements
-        .attr('cx', d => isNaN(d.x) ? 0 : d.x)
-        .attr('cy', d => isNaN(d.y) ? 0 : d.y);
+        .attr('transform', d => `translate(${isNaN(d.x) ? 0 : d.x},${isNaN(d.y) ? 0 : d.y})`);
     }
 
     if (this.nodeLabelElements) {
@@ -539,13 +612,73 @@ class GraphVisualizer {
     }
   }
 
+  linkGeometry(d) {
+    const x1 = isNaN(d.source.x) ? 0 : d.source.x;
+    const y1 = isNaN(d.source.y) ? 0 : d.source.y;
+    const x2 = isNaN(d.target.x) ? 0 : d.target.x;
+    const y2 = isNaN(d.target.y) ? 0 : d.target.y;
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const length = Math.sqrt(dx * dx + dy * dy) || 1;
+    const offset = d.offset || 0;
+    
+    // Unit normal of the straight segment, scaled by the arc's offset
+    return {
+      x1, y1, x2, y2,
+      nx: (-dy / length) * offset,
+      ny: (dx / length) * offset
+    };
+  }
+
+  selfLoopPath(d) {
+    const x = isNaN(d.source.x) ? 0 : d.source.x;
+    const y = isNaN(d.source.y) ? 0 : d.source.y;
+    const r = d.loopRadius;
+    const size = d.loopSize;
+    
+    // Leave and re-enter the node on its upper rim so the arrowhead stays visible
+    const startX = x - r * 0.5;
+    const endX = x + r * 0.5;
+    const rimY = y - r * 0.87;
+    const controlY = y - r - size * 1.6;
+    return `M${startX},${rimY}C${x - size},${controlY} ${x + size},${controlY} ${endX},${rimY}`;
+  }
+
+  linkPath(d) {
+    if (d.source === d.target) {
+      return this.selfLoopPath(d);
+    }
+    const { x1, y1, x2, y2, nx, ny } = this.linkGeometry(d);
+    if (nx === 0 && ny === 0) {
+      return `M${x1},${y1}L${x2},${y2}`;
+    }
+    // A quadratic curve passes halfway to its control point, so double the offset
+    const cx = (x1 + x2) / 2 + nx * 2;
+    const cy = (y1 + y2) / 2 + ny * 2;
+    return `M${x1},${y1}Q${cx},${cy} ${x2},${y2}`;
+  }
+
+  linkMidpoint(d) {
+    if (d.source === d.target) {
+      return {
+        x: isNaN(d.source.x) ? 0 : d.source.x,
+        y: (isNaN(d.source.y) ? 0 : d.source.y) - d.loopRadius - d.loopSize * 1.2 - 4
+      };
+    }
+    const { x1, y1, x2, y2, nx, ny } = this.linkGeometry(d);
+    return {
+      x: (x1 + x2) / 2 + nx,
+      y: (y1 + y2) / 2 + ny
+    };
+  }
+
   setupInteractions(node, link, nodeLabels, linkLabels, config) {
     // Node click interaction - changed color to orange (#f39c12)
     node.on('click', (event, d) => {
       console.log('Node clicked:', d.originalId || d.label);
       
       link.style('stroke', config.edgeColor).style('opacity', 0.3);
-      node.attr('fill', d => d.isMain ? '#e74c3c' : config.nodeColor);
+      node.attr('fill', d => d.color);
       
       // Changed clicked node color from red to orange
       d3.select(event.target).attr('fill', '#f39c12');
@@ -566,7 +699,7 @@ class GraphVisualizer {
     this.svg.on('click', (event) => {
       if (event.target === event.currentTarget) {
         link.style('stroke', config.edgeColor).style('opacity', 0.8);
-        node.attr('fill', d => d.isMain ? '#e74c3c' : config.nodeColor);
+        node.attr('fill', d => d.color);
       }
     });
 
@@ -593,10 +726,10 @@ class GraphVisualizer {
 
     node.call(drag);
 
-    node.on('mouseover', function(event, d) {
-      d3.select(this).attr('r', config.nodeRadius + 5);
-    }).on('mouseout', function(event, d) {
-      d3.select(this).attr('r', config.nodeRadius);
+    node.on('mouseover', (event, d) => {
+      d3.select(event.currentTarget).attr('d', this.nodeSymbol(d.shape, config.nodeRadius + 5));
+    }).on('mouseout', (event, d) => {
+      d3.select(event.currentTarget).attr('d', this.nodeSymbol(d.shape, config.nodeRadius));
     });
 
     node.on('dblclick', (event, d) => {
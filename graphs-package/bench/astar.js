@@ -0,0 +1,35 @@
+// Compares the running time of Graph#aStar with the euclidean heuristic against
+// Graph#dijkstra on generated road-like grids. Correctness is covered by test/aStar.test.js.
+//
+//   npm run bench:astar
+//   npm run bench:astar -- --nodes 1000,50000 --queries 50
+import { parseArgs, mulberry32, roadGraph } from "./graphs.js";
+
+const args = parseArgs(process.argv.slice(2), { nodes: [1000, 10000, 50000], queries: 20, seed: 7 });
+const random = mulberry32(args.seed);
+
+for (const nodeCount of args.nodes) {
+  const graph = roadGraph(nodeCount, random);
+  let dijkstraTime = 0;
+  let aStarTime = 0;
+  let expanded = 0;
+  for (let query = 0; query < args.queries; query++) {
+    const start = Math.floor(random() * nodeCount);
+    const goal = Math.floor(random() * nodeCount);
+
+    let begin = performance.now();
+    graph.dijkstra(start, goal);
+    dijkstraTime += performance.now() - begin;
+
+    begin = performance.now();
+    const result = graph.aStar(start, goal, { heuristic: "euclidean" });
+    aStarTime += performance.now() - begin;
+    expanded += result.expanded;
+  }
+  console.log(
+    `${String(nodeCount).padStart(7)} nodes, ${args.queries} queries: ` +
+      `dijkstra ${dijkstraTime.toFixed(1)} ms, aStar ${aStarTime.toFixed(1)} ms ` +
+      `(${Math.round(expanded / args.queries)} nodes expanded per query)`
+  );
+}
+
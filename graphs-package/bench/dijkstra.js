@@ -0,0 +1,36 @@
+// Times Graph#dijkstra on generated road-like grids.
+//
+//   npm run bench                          default sizes
+//   npm run bench -- --nodes 50000 --runs 3 --budget 2000
+//
+// With --budget (milliseconds) the script exits non-zero when the median run
+// of any size takes longer, so it can guard against performance regressions.
+import { parseArgs, mulberry32, roadGraph, median } from "./graphs.js";
+
+const args = parseArgs(process.argv.slice(2), { nodes: [1000, 10000, 50000], runs: 5, budget: Infinity, seed: 42 });
+const random = mulberry32(args.seed);
+let failed = false;
+
+for (const nodeCount of args.nodes) {
+  const graph = roadGraph(nodeCount, random);
+  const timings = [];
+  let result;
+  for (let run = 0; run < args.runs; run++) {
+    const start = performance.now();
+    // Opposite corners of the grid, so the search settles most of the graph
+    result = graph.dijkstra(0, nodeCount - 1);
+    timings.push(performance.now() - start);
+  }
+  const time = median(timings);
+  const over = time > args.budget;
+  failed = failed || over;
+  console.log(
+    `dijkstra ${String(nodeCount).padStart(7)} nodes ${String(graph.size).padStart(7)} edges: ` +
+      `${time.toFixed(1)} ms median of ${args.runs}, distance ${result.distance}${over ? "  OVER BUDGET" : ""}`
+  );
+}
+
+if (failed) {
+  console.error(`At least one size exceeded the ${args.budget} ms budget`);
+  process.exitCode = 1;
+}
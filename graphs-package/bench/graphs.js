@@ -0,0 +1,60 @@
+import { UndirectedWeightedGraph } from "../index.js";
+
+export function parseArgs(argv, defaults) {
+  const args = { ...defaults };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, "");
+    const value = argv[i + 1];
+    if (name === "nodes") {
+      args.nodes = value.split(",").map(Number);
+    } else if (name in args) {
+      args[name] = Number(value);
+    } else {
+      throw new Error(`Unknown option '${argv[i]}'`);
+    }
+  }
+  return args;
+}
+
+// Small deterministic PRNG so every run benchmarks the same graphs
+export function mulberry32(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// A square grid with random weights plus a few long-range shortcuts. Nodes carry
+// x/y attributes and no link is cheaper than its straight-line length, so the
+// euclidean heuristic stays admissible.
+export function roadGraph(nodeCount, random) {
+  const side = Math.ceil(Math.sqrt(nodeCount));
+  const graph = UndirectedWeightedGraph();
+  for (let i = 0; i < nodeCount; i++) {
+    graph.addNode(i, { x: i % side, y: Math.floor(i / side) });
+  }
+  for (let i = 0; i < nodeCount; i++) {
+    if ((i + 1) % side !== 0 && i + 1 < nodeCount) {
+      graph.addLink(i, i + 1, 1 + Math.floor(random() * 20));
+    }
+    if (i + side < nodeCount) {
+      graph.addLink(i, i + side, 1 + Math.floor(random() * 20));
+    }
+  }
+  for (let i = 0; i < nodeCount / 100; i++) {
+    const a = Math.floor(random() * nodeCount);
+    const b = Math.floor(random() * nodeCount);
+    if (a !== b) {
+      const length = Math.hypot((a % side) - (b % side), Math.floor(a / side) - Math.floor(b / side));
+      graph.addLink(a, b, Math.ceil(length) + Math.floor(random() * 20));
+    }
+  }
+  return graph;
+}
+
+export function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
@@ -0,0 +1,285 @@
+import { createGraph } from "./Graph.js";
+
+const TRUTHY = new Set(["true", "1", "yes", "y"]);
+
+const defaultEdgeColumns = {
+  source: "source",
+  target: "target",
+  weight: "weight",
+};
+
+const defaultNodeColumns = {
+  key: "key",
+  main: "main",
+};
+
+function parseError(line, message) {
+  return new Error(`Malformed CSV at line ${line}: ${message}`);
+}
+
+function parseRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  let quoteLine = 1;
+  let index = 0;
+
+  const endField = () => {
+    row.push(field);
+    field = "";
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== "") {
+      rows.push({ fields: row, line: rowLine });
+    }
+    row = [];
+  };
+
+  while (index < text.length) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"') {
+        if (text[index + 1] === '"') {
+          field += '"';
+          index += 2;
+          continue;
+        }
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+      index++;
+      continue;
+    }
+    if (char === '"') {
+      if (field !== "") {
+        throw parseError(line, "unexpected quote inside an unquoted field");
+      }
+      quoted = true;
+      quoteLine = line;
+    } else if (text.startsWith(delimiter, index)) {
+      endField();
+      index += delimiter.length;
+      continue;
+    } else if (char === "\r" || char === "\n") {
+      if (char === "\r" && text[index + 1] === "\n") index++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+    index++;
+  }
+  if (quoted) {
+    throw parseError(quoteLine, "unterminated quoted field");
+  }
+  if (field !== "" || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+function resolveColumn(column, header, fallback) {
+  if (typeof column === "number") {
+    return column;
+  }
+  if (header) {
+    const index = header.indexOf(column);
+    return index === -1 ? undefined : index;
+  }
+  return fallback;
+}
+
+function readTable(text, options, columns, positions) {
+  const delimiter = options.delimiter || ",";
+  const hasHeader = options.header !== false;
+  const rows = parseRows(text, delimiter);
+  const header = hasHeader && rows.length > 0 ? rows.shift().fields.map((name) => name.trim()) : null;
+  const indexes = {};
+  for (const [name, column] of Object.entries(columns)) {
+    indexes[name] = resolveColumn(column, header, positions[name]);
+  }
+  return { rows, header, indexes };
+}
+
+function extraAttributes(fields, header, used) {
+  const attributes = {};
+  if (!header) {
+    return attributes;
+  }
+  header.forEach((name, index) => {
+    if (!used.has(index) && fields[index] !== undefined && fields[index] !== "") {
+      attributes[name] = fields[index];
+    }
+  });
+  return attributes;
+}
+
+export function applyNodeListCSV(graph, text, options = {}) {
+  const columns = { ...defaultNodeColumns, ...options.columns };
+  const { rows, header, indexes } = readTable(text, options, columns, { key: 0, main: 1 });
+  if (indexes.key === undefined) {
+    throw parseError(1, `missing node key column '${columns.key}'`);
+  }
+  const used = new Set([indexes.key, indexes.main]);
+  for (const { fields, line } of rows) {
+    const key = fields[indexes.key];
+    if (key === undefined || key === "") {
+      throw parseError(line, "row has no node key");
+    }
+    const attributes = extraAttributes(fields, header, used);
+    if (!graph.addNode(key, attributes)) {
+      graph.updateNodeAttributes(key, attributes);
+    }
+    const main = indexes.main === undefined ? undefined : fields[indexes.main];
+    if (main !== undefined && TRUTHY.has(main.trim().toLowerCase())) {
+      graph.setMainNode(key);
+    }
+  }
+  return graph;
+}
+
+export function fromEdgeListCSV(text, options = {}) {
+  const columns = { ...defaultEdgeColumns, ...options.columns };
+  const { rows, header, indexes } = readTable(text, options, columns, { source: 0, target: 1, weight: 2 });
+  if (indexes.source === undefined || indexes.target === undefined) {
+    throw parseError(1, `missing '${columns.source}' or '${columns.target}' column`);
+  }
+  if (!header && indexes.weight !== undefined && rows.every(({ fields }) => fields[indexes.weight] === undefined)) {
+    indexes.weight = undefined;
+  }
+  const isWeighted = options.weighted !== undefined ? Boolean(options.weighted) : indexes.weight !== undefined;
+  const isDirected = Boolean(options.directed);
+
+  const used = new Set([indexes.source, indexes.target, indexes.weight]);
+  const records = [];
+  for (const { fields, line } of rows) {
+    const source = fields[indexes.source];
+    const target = fields[indexes.target];
+    if (source === undefined || source === "" || target === undefined || target === "") {
+      throw parseError(line, "row needs both a source and a target");
+    }
+    let weight;
+    if (isWeighted && indexes.weight !== undefined) {
+      const raw = fields[indexes.weight];
+      if (raw !== undefined && raw.trim() !== "") {
+        weight = Number(raw);
+        if (isNaN(weight) || !isFinite(weight)) {
+          throw parseError(line, `weight '${raw}' is not a finite number`);
+        }
+      }
+    }
+    records.push({ source, target, weight, attributes: extraAttributes(fields, header, used), line });
+  }
+
+  // Like fromDOT, pick multi/allowSelfLoops from the data unless the caller fixed them
+  const identity = (key) => (options.keyFn ? options.keyFn(key) : key);
+  const seen = new Set();
+  let hasParallel = false;
+  let hasSelfLoops = false;
+  for (const { source, target } of records) {
+    const pair = [identity(source), identity(target)];
+    if (pair[0] === pair[1]) {
+      hasSelfLoops = true;
+    }
+    if (!isDirected) {
+      pair.sort();
+    }
+    const signature = JSON.stringify(pair);
+    if (seen.has(signature)) {
+      hasParallel = true;
+    }
+    seen.add(signature);
+  }
+
+  const graph = createGraph(isDirected, isWeighted, {
+    keyFn: options.keyFn,
+    multi: options.multi !== undefined ? options.multi : hasParallel,
+    allowSelfLoops: options.allowSelfLoops !== undefined ? options.allowSelfLoops : hasSelfLoops,
+  })();
+
+  if (options.nodeList !== undefined) {
+    applyNodeListCSV(graph, options.nodeList, {
+      delimiter: options.delimiter,
+      header: options.header,
+      columns: options.nodeColumns,
+    });
+  }
+
+  for (const { source, target, weight, attributes, line } of records) {
+    if (!graph.addLink(source, target, weight, attributes)) {
+      const reason = graph.hasLink(source, target)
+        ? "repeats an existing link and multi is false"
+        : "is a self-loop and allowSelfLoops is false";
+      throw parseError(line, `link ${source} -> ${target} ${reason}`);
+    }
+  }
+  return graph;
+}
+
+function formatField(value, delimiter) {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (text.includes(delimiter) || /["\s]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function formatTable(header, records, delimiter) {
+  const lines = [header, ...records].map((fields) =>
+    fields.map((value) => formatField(value, delimiter)).join(delimiter)
+  );
+  return lines.join("\r\n") + "\r\n";
+}
+
+function attributeNames(records) {
+  const names = new Set();
+  for (const attributes of records) {
+    for (const name of Object.keys(attributes)) {
+      names.add(name);
+    }
+  }
+  return Array.from(names);
+}
+
+export function toEdgeListCSV(graph, options = {}) {
+  const delimiter = options.delimiter || ",";
+  const { edges, type } = graph.toJSON();
+  const names = attributeNames(edges.map((edge) => edge.attributes));
+  const header = ["source", "target"];
+  if (type.weighted) {
+    header.push("weight");
+  }
+  header.push(...names);
+  const records = edges.map((edge) => {
+    const fields = [edge.source, edge.target];
+    if (type.weighted) {
+      fields.push(edge.weight);
+    }
+    return fields.concat(names.map((name) => edge.attributes[name]));
+  });
+  return formatTable(header, records, delimiter);
+}
+
+export function toNodeListCSV(graph, options = {}) {
+  const delimiter = options.delimiter || ",";
+  const { nodes, mainNodes } = graph.toJSON();
+  const main = new Set(mainNodes);
+  const names = attributeNames(nodes.map((node) => node.attributes));
+  const header = ["key", "main", ...names];
+  const records = nodes.map((node) => [
+    node.key,
+    main.has(node.key),
+    ...names.map((name) => node.attributes[name]),
+  ]);
+  return formatTable(header, records, delimiter);
+}
@@ -0,0 +1,415 @@
+import { createGraph } from "./Graph.js";
+
+const KEYWORDS = new Set(["strict", "graph", "digraph", "node", "edge", "subgraph"]);
+
+const NUMERAL = /^-?(\.[0-9]+|[0-9]+(\.[0-9]*)?)$/;
+
+const defaultOptions = {
+  name: "G",
+  mainNodeColor: "#e74c3c",
+  attributes: true,
+};
+
+function parseError(line, message) {
+  return new Error(`Malformed DOT at line ${line}: ${message}`);
+}
+
+function quote(text) {
+  return `"${text.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`;
+}
+
+function formatId(value) {
+  if (typeof value === "number" && isFinite(value)) {
+    return String(value);
+  }
+  if (value !== null && typeof value === "object") {
+    return quote(JSON.stringify(value));
+  }
+  const text = String(value);
+  if (/^[A-Za-z_][\w]*$/.test(text) && !KEYWORDS.has(text.toLowerCase())) {
+    return text;
+  }
+  return quote(text);
+}
+
+function formatAttributes(attributes) {
+  const entries = Object.entries(attributes).filter(([, value]) => value !== undefined);
+  if (entries.length === 0) {
+    return "";
+  }
+  return ` [${entries.map(([name, value]) => `${formatId(name)}=${formatId(value)}`).join(", ")}]`;
+}
+
+export function toDOT(graph, options = {}) {
+  const config = { ...defaultOptions, ...options };
+  const { nodes, edges, type } = graph.toJSON();
+  const mainNodes = new Set(graph.getMainNodes());
+  const connector = type.directed ? "->" : "--";
+
+  const lines = [`${type.multi ? "" : "strict "}${type.directed ? "digraph" : "graph"} ${formatId(config.name)} {`];
+  for (const { key, attributes } of nodes) {
+    const dotAttributes = config.attributes ? { ...attributes } : {};
+    if (mainNodes.has(key)) {
+      Object.assign(dotAttributes, {
+        main: "true",
+        style: "filled",
+        fillcolor: config.mainNodeColor,
+      });
+    }
+    lines.push(`  ${formatId(key)}${formatAttributes(dotAttributes)};`);
+  }
+  for (const { source, target, weight, attributes } of edges) {
+    const dotAttributes = config.attributes ? { ...attributes } : {};
+    if (type.weighted) {
+      if (dotAttributes.label === undefined) {
+        dotAttributes.label = String(weight);
+      }
+      dotAttributes.weight = weight;
+    }
+    lines.push(`  ${formatId(source)} ${connector} ${formatId(target)}${formatAttributes(dotAttributes)};`);
+  }
+  lines.push("}");
+  return lines.join("\n") + "\n";
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let line = 1;
+  let index = 0;
+  let lineStart = true;
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (char === "\n") {
+      line++;
+      index++;
+      lineStart = true;
+      continue;
+    }
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+    if (char === "#" && lineStart) {
+      while (index < text.length && text[index] !== "\n") index++;
+      continue;
+    }
+    lineStart = false;
+
+    if (text.startsWith("//", index)) {
+      while (index < text.length && text[index] !== "\n") index++;
+      continue;
+    }
+    if (text.startsWith("/*", index)) {
+      const end = text.indexOf("*/", index + 2);
+      if (end === -1) {
+        throw parseError(line, "unterminated comment");
+      }
+      for (let i = index; i < end; i++) {
+        if (text[i] === "\n") line++;
+      }
+      index = end + 2;
+      continue;
+    }
+    if (text.startsWith("->", index) || text.startsWith("--", index)) {
+      tokens.push({ type: "edgeop", value: text.slice(index, index + 2), line });
+      index += 2;
+      continue;
+    }
+    if ("{}[];,=:".includes(char)) {
+      tokens.push({ type: "punct", value: char, line });
+      index++;
+      continue;
+    }
+    if (char === '"') {
+      const startLine = line;
+      let value = "";
+      index++;
+      while (index < text.length && text[index] !== '"') {
+        if (text[index] === "\\" && index + 1 < text.length) {
+          const next = text[index + 1];
+          if (next === '"' || next === "\\") {
+            value += next;
+          } else if (next === "n") {
+            value += "\n";
+          } else if (next === "\n") {
+            line++;
+          } else {
+            value += "\\" + next;
+          }
+          index += 2;
+          continue;
+        }
+        if (text[index] === "\n") line++;
+        value += text[index++];
+      }
+      if (index >= text.length) {
+        throw parseError(startLine, "unterminated string");
+      }
+      index++;
+      tokens.push({ type: "id", value, quoted: true, line: startLine });
+      continue;
+    }
+    if (char === "<") {
+      const startLine = line;
+      let depth = 0;
+      let end = index;
+      do {
+        if (end >= text.length) {
+          throw parseError(startLine, "unterminated HTML string");
+        }
+        if (text[end] === "<") depth++;
+        else if (text[end] === ">") depth--;
+        else if (text[end] === "\n") line++;
+        end++;
+      } while (depth > 0);
+      tokens.push({ type: "id", value: text.slice(index + 1, end - 1), quoted: true, line: startLine });
+      index = end;
+      continue;
+    }
+    const match = /^(?:[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*|-?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?))/.exec(text.slice(index));
+    if (!match) {
+      throw parseError(line, `unexpected character '${char}'`);
+    }
+    const word = match[0];
+    if (KEYWORDS.has(word.toLowerCase())) {
+      tokens.push({ type: "keyword", value: word.toLowerCase(), line });
+    } else {
+      tokens.push({ type: "id", value: word, quoted: false, line });
+    }
+    index += word.length;
+  }
+
+  tokens.push({ type: "eof", value: "end of input", line });
+  return tokens;
+}
+
+function idValue(token) {
+  return !token.quoted && NUMERAL.test(token.value) ? Number(token.value) : token.value;
+}
+
+class DotParser {
+  constructor(text) {
+    this.tokens = tokenize(text);
+    this.position = 0;
+    this.nodes = new Map();
+    this.edges = [];
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.position + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  is(type, value) {
+    const token = this.peek();
+    return token.type === type && (value === undefined || token.value === value);
+  }
+
+  expect(type, value) {
+    const token = this.next();
+    if (token.type !== type || (value !== undefined && token.value !== value)) {
+      throw parseError(token.line, `expected ${value !== undefined ? `'${value}'` : type} but found '${token.value}'`);
+    }
+    return token;
+  }
+
+  parse() {
+    this.strict = false;
+    if (this.is("keyword", "strict")) {
+      this.next();
+      this.strict = true;
+    }
+    const kind = this.next();
+    if (kind.type !== "keyword" || (kind.value !== "graph" && kind.value !== "digraph")) {
+      throw parseError(kind.line, `expected 'graph' or 'digraph' but found '${kind.value}'`);
+    }
+    this.isDirected = kind.value === "digraph";
+    if (this.is("id")) {
+      this.next();
+    }
+    this.expect("punct", "{");
+    this.parseStatements({ node: {}, edge: {} });
+    this.expect("punct", "}");
+    this.expect("eof");
+  }
+
+  parseStatements(scope) {
+    const members = new Set();
+    while (!this.is("punct", "}") && !this.is("eof")) {
+      this.parseStatement(scope, members);
+      if (this.is("punct", ";")) {
+        this.next();
+      }
+    }
+    return members;
+  }
+
+  parseStatement(scope, members) {
+    const token = this.peek();
+    if (token.type === "keyword" && token.value !== "subgraph") {
+      this.next();
+      const attributes = this.parseAttributeLists();
+      if (token.value === "node" || token.value === "edge") {
+        Object.assign(scope[token.value], attributes);
+      }
+      return;
+    }
+    if (token.type === "id" && this.peek(1).type === "punct" && this.peek(1).value === "=") {
+      this.next();
+      this.next();
+      this.expect("id");
+      return;
+    }
+
+    const operands = [this.parseOperand(scope, members)];
+    const operators = [];
+    while (this.is("edgeop")) {
+      operators.push(this.next());
+      operands.push(this.parseOperand(scope, members));
+    }
+    const attributes = this.parseAttributeLists();
+
+    if (operators.length === 0) {
+      if (operands[0].isNode) {
+        Object.assign(this.nodes.get(operands[0].keys[0]).attributes, attributes);
+      }
+      return;
+    }
+    for (let i = 0; i < operators.length; i++) {
+      const operator = operators[i];
+      if (operator.value !== (this.isDirected ? "->" : "--")) {
+        throw parseError(operator.line, `'${operator.value}' is not allowed in a ${this.isDirected ? "digraph" : "graph"}`);
+      }
+      for (const source of operands[i].keys) {
+        for (const target of operands[i + 1].keys) {
+          this.edges.push({
+            source,
+            target,
+            attributes: { ...scope.edge, ...attributes },
+            line: operator.line,
+          });
+        }
+      }
+    }
+  }
+
+  parseOperand(scope, members) {
+    if (this.is("keyword", "subgraph") || this.is("punct", "{")) {
+      if (this.is("keyword", "subgraph")) {
+        this.next();
+        if (this.is("id")) {
+          this.next();
+        }
+      }
+      this.expect("punct", "{");
+      const inner = this.parseStatements({ node: { ...scope.node }, edge: { ...scope.edge } });
+      this.expect("punct", "}");
+      for (const key of inner) {
+        members.add(key);
+      }
+      return { isNode: false, keys: Array.from(inner) };
+    }
+
+    const token = this.expect("id");
+    if (this.is("punct", ":")) {
+      this.next();
+      this.expect("id");
+      if (this.is("punct", ":")) {
+        this.next();
+        this.expect("id");
+      }
+    }
+    const key = idValue(token);
+    if (!this.nodes.has(key)) {
+      this.nodes.set(key, { attributes: { ...scope.node } });
+    }
+    members.add(key);
+    return { isNode: true, keys: [key] };
+  }
+
+  parseAttributeLists() {
+    const attributes = {};
+    while (this.is("punct", "[")) {
+      this.next();
+      while (!this.is("punct", "]")) {
+        const name = this.expect("id");
+        this.expect("punct", "=");
+        attributes[name.value] = idValue(this.expect("id"));
+        if (this.is("punct", ";") || this.is("punct", ",")) {
+          this.next();
+        }
+      }
+      this.next();
+    }
+    return attributes;
+  }
+}
+
+export function fromDOT(text, options = {}) {
+  if (typeof text !== "string") {
+    throw new TypeError("DOT input must be a string");
+  }
+  const config = { ...defaultOptions, ...options };
+  const parser = new DotParser(text);
+  parser.parse();
+
+  const isDirected = parser.isDirected;
+  const isWeighted = parser.edges.some((edge) => edge.attributes.weight !== undefined);
+  const seen = new Map();
+  const hasPair = (source, target) => seen.has(source) && seen.get(source).has(target);
+  const uniqueEdges = [];
+  let isMulti = false;
+  let hasSelfLoops = false;
+  for (const edge of parser.edges) {
+    const repeated = hasPair(edge.source, edge.target) || (!isDirected && hasPair(edge.target, edge.source));
+    if (edge.source === edge.target) {
+      hasSelfLoops = true;
+    }
+    if (repeated) {
+      // A strict graph merges repeated edges into one
+      if (parser.strict) continue;
+      isMulti = true;
+    }
+    if (!seen.has(edge.source)) {
+      seen.set(edge.source, new Set());
+    }
+    seen.get(edge.source).add(edge.target);
+    uniqueEdges.push(edge);
+  }
+
+  const { mainNodeColor } = config;
+  const graph = createGraph(isDirected, isWeighted, {
+    keyFn: config.keyFn,
+    multi: isMulti,
+    allowSelfLoops: hasSelfLoops,
+  })();
+
+  for (const [key, node] of parser.nodes) {
+    const { main, ...rest } = node.attributes;
+    const isMain = main === "true" || main === true;
+    if (isMain && rest.style === "filled" && rest.fillcolor === mainNodeColor) {
+      delete rest.style;
+      delete rest.fillcolor;
+    }
+    graph.addNode(key, rest);
+    if (isMain) {
+      graph.setMainNode(key);
+    }
+  }
+  for (const { source, target, attributes, line } of uniqueEdges) {
+    const { weight, ...rest } = attributes;
+    if (isWeighted && weight !== undefined && typeof weight !== "number") {
+      throw parseError(line, `edge weight '${weight}' is not a number`);
+    }
+    if (weight !== undefined && String(rest.label) === String(weight)) {
+      delete rest.label;
+    }
+    graph.addEdge(source, target, weight, rest);
+  }
+  return graph;
+}
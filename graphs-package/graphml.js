@@ -0,0 +1,427 @@
+import { createGraph } from "./Graph.js";
+
+const GRAPHML_NAMESPACE = "http://graphml.graphdrawing.org/xmlns";
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+};
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function parseError(line, message) {
+  return new Error(`Malformed GraphML at line ${line}: ${message}`);
+}
+
+// The Char production of the XML spec, which excludes surrogates and anything past U+10FFFF
+function isXmlChar(code) {
+  return code === 0x9 || code === 0xa || code === 0xd ||
+    (code >= 0x20 && code <= 0xd7ff) ||
+    (code >= 0xe000 && code <= 0xfffd) ||
+    (code >= 0x10000 && code <= 0x10ffff);
+}
+
+function decodeEntities(text, line) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity) => {
+    if (entity[0] === "#") {
+      const code = entity[1] === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      if (!isXmlChar(code)) {
+        throw parseError(line, `character reference '${match}' is not a valid XML character`);
+      }
+      return String.fromCodePoint(code);
+    }
+    if (ENTITIES[entity] === undefined) {
+      throw parseError(line, `unknown entity '${match}'`);
+    }
+    return ENTITIES[entity];
+  });
+}
+
+function localName(name) {
+  const colon = name.indexOf(":");
+  return colon === -1 ? name : name.slice(colon + 1);
+}
+
+function parseXml(xml) {
+  const root = { name: "#document", attributes: {}, children: [], text: "", line: 1 };
+  const stack = [root];
+  let line = 1;
+  let index = 0;
+
+  const advance = (end) => {
+    for (let i = index; i < end; i++) {
+      if (xml[i] === "\n") line++;
+    }
+    index = end;
+  };
+
+  const skipPast = (terminator, what) => {
+    const end = xml.indexOf(terminator, index);
+    if (end === -1) {
+      throw parseError(line, `unterminated ${what}`);
+    }
+    const content = xml.slice(index, end);
+    advance(end + terminator.length);
+    return content;
+  };
+
+  while (index < xml.length) {
+    const current = stack[stack.length - 1];
+    const next = xml.indexOf("<", index);
+    if (next === -1 || next > index) {
+      const end = next === -1 ? xml.length : next;
+      const text = xml.slice(index, end);
+      const textLine = line;
+      advance(end);
+      if (text.trim() !== "") {
+        if (current === root) {
+          throw parseError(textLine, "text outside of the root element");
+        }
+        current.text += decodeEntities(text, textLine);
+      }
+      continue;
+    }
+
+    if (xml.startsWith("<!--", index)) {
+      skipPast("-->", "comment");
+    } else if (xml.startsWith("<![CDATA[", index)) {
+      advance(index + 9);
+      current.text += skipPast("]]>", "CDATA section");
+    } else if (xml.startsWith("<?", index)) {
+      skipPast("?>", "processing instruction");
+    } else if (xml.startsWith("<!", index)) {
+      skipPast(">", "declaration");
+    } else if (xml.startsWith("</", index)) {
+      const tagLine = line;
+      advance(index + 2);
+      const name = skipPast(">", "closing tag").trim();
+      if (current === root) {
+        throw parseError(tagLine, `unexpected closing tag </${name}>`);
+      }
+      if (name !== current.name) {
+        throw parseError(tagLine, `expected </${current.name}> (opened at line ${current.line}) but found </${name}>`);
+      }
+      stack.pop();
+    } else {
+      const tagLine = line;
+      const match = /^<([A-Za-z_][\w.:-]*)((?:\s+[A-Za-z_][\w.:-]*\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/.exec(xml.slice(index));
+      if (!match) {
+        throw parseError(tagLine, "invalid tag");
+      }
+      const element = {
+        name: match[1],
+        attributes: {},
+        children: [],
+        text: "",
+        line: tagLine,
+      };
+      const attributePattern = /([A-Za-z_][\w.:-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let attribute;
+      while ((attribute = attributePattern.exec(match[2])) !== null) {
+        if (element.attributes[attribute[1]] !== undefined) {
+          throw parseError(tagLine, `duplicate attribute '${attribute[1]}' on <${element.name}>`);
+        }
+        const value = attribute[2] !== undefined ? attribute[2] : attribute[3];
+        element.attributes[attribute[1]] = decodeEntities(value, tagLine);
+      }
+      if (current === root && root.children.length > 0) {
+        throw parseError(tagLine, "more than one root element");
+      }
+      current.children.push(element);
+      advance(index + match[0].length);
+      if (match[3] !== "/") {
+        stack.push(element);
+      }
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw parseError(line, `<${open.name}> opened at line ${open.line} is never closed`);
+  }
+  if (root.children.length === 0) {
+    throw parseError(line, "document has no root element");
+  }
+  return root.children[0];
+}
+
+function childrenNamed(element, name) {
+  return element.children.filter((child) => localName(child.name) === name);
+}
+
+function attributeType(values) {
+  if (values.every((value) => typeof value === "boolean")) {
+    return "boolean";
+  }
+  if (values.every((value) => typeof value === "number")) {
+    return values.every(Number.isInteger) ? "long" : "double";
+  }
+  return "string";
+}
+
+function formatValue(value) {
+  if (value !== null && typeof value === "object") {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+function parseValue(text, type, line) {
+  switch (type) {
+    case "boolean":
+      if (text.trim() !== "true" && text.trim() !== "false") {
+        throw parseError(line, `'${text}' is not a boolean`);
+      }
+      return text.trim() === "true";
+    case "int":
+    case "long":
+    case "float":
+    case "double": {
+      const value = Number(text.trim());
+      if (text.trim() === "" || isNaN(value)) {
+        throw parseError(line, `'${text}' is not a number`);
+      }
+      return value;
+    }
+    default:
+      return text;
+  }
+}
+
+function collectKeys(records, domain, prefix) {
+  const values = new Map();
+  for (const attributes of records) {
+    for (const name of Object.keys(attributes)) {
+      if (attributes[name] === undefined) continue;
+      if (!values.has(name)) values.set(name, []);
+      values.get(name).push(attributes[name]);
+    }
+  }
+  const keys = [];
+  for (const [name, list] of values) {
+    keys.push({ id: `${prefix}${keys.length}`, domain, name, type: attributeType(list) });
+  }
+  return keys;
+}
+
+export function toGraphML(graph) {
+  const { nodes, edges, type } = graph.toJSON();
+  const mainNodes = new Set(graph.getMainNodes());
+  const nodeIds = new Set();
+  for (const { key } of nodes) {
+    const id = String(key);
+    if (nodeIds.has(id)) {
+      throw new Error(`Two nodes share the GraphML id '${id}'`);
+    }
+    nodeIds.add(id);
+  }
+
+  // Attributes named main or weight get generated ids like any other, so they don't
+  // clash with the 'main' and 'weight' keys
+  const nodeKeys = collectKeys(nodes.map((node) => node.attributes), "node", "n");
+  const edgeKeys = collectKeys(edges.map((edge) => edge.attributes), "edge", "e");
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<graphml xmlns="${GRAPHML_NAMESPACE}">`,
+  ];
+  for (const key of nodeKeys.concat(edgeKeys)) {
+    lines.push(`  <key id="${key.id}" for="${key.domain}" attr.name="${escapeXml(key.name)}" attr.type="${key.type}"/>`);
+  }
+  if (mainNodes.size > 0) {
+    lines.push('  <key id="main" for="node" attr.name="main" attr.type="boolean">');
+    lines.push("    <default>false</default>");
+    lines.push("  </key>");
+  }
+  if (type.weighted) {
+    lines.push('  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>');
+  }
+  lines.push(`  <graph id="G" edgedefault="${type.directed ? "directed" : "undirected"}">`);
+
+  for (const { key, attributes } of nodes) {
+    const data = [];
+    for (const nodeKey of nodeKeys) {
+      if (attributes[nodeKey.name] !== undefined) {
+        data.push(`<data key="${nodeKey.id}">${escapeXml(formatValue(attributes[nodeKey.name]))}</data>`);
+      }
+    }
+    if (mainNodes.has(key)) {
+      data.push('<data key="main">true</data>');
+    }
+    const id = escapeXml(String(key));
+    lines.push(data.length === 0
+      ? `    <node id="${id}"/>`
+      : `    <node id="${id}">${data.join("")}</node>`);
+  }
+
+  for (const edge of edges) {
+    const data = [];
+    if (type.weighted) {
+      data.push(`<data key="weight">${edge.weight}</data>`);
+    }
+    for (const edgeKey of edgeKeys) {
+      if (edge.attributes[edgeKey.name] !== undefined) {
+        data.push(`<data key="${edgeKey.id}">${escapeXml(formatValue(edge.attributes[edgeKey.name]))}</data>`);
+      }
+    }
+    const open = `<edge id="${escapeXml(edge.id)}" source="${escapeXml(String(edge.source))}" target="${escapeXml(String(edge.target))}"`;
+    lines.push(data.length === 0
+      ? `    ${open}/>`
+      : `    ${open}>${data.join("")}</edge>`);
+  }
+
+  lines.push("  </graph>");
+  lines.push("</graphml>");
+  return lines.join("\n") + "\n";
+}
+
+export function fromGraphML(xml, options = {}) {
+  if (typeof xml !== "string") {
+    throw new TypeError("GraphML input must be a string");
+  }
+  const root = parseXml(xml);
+  if (localName(root.name) !== "graphml") {
+    throw parseError(root.line, `expected <graphml> root element but found <${root.name}>`);
+  }
+
+  const keys = new Map();
+  for (const key of childrenNamed(root, "key")) {
+    if (key.attributes.id === undefined) {
+      throw parseError(key.line, "<key> is missing its 'id' attribute");
+    }
+    const defaults = childrenNamed(key, "default");
+    keys.set(key.attributes.id, {
+      domain: key.attributes.for || "all",
+      name: key.attributes["attr.name"],
+      type: key.attributes["attr.type"] || "string",
+      defaultText: defaults.length > 0 ? defaults[0].text : undefined,
+      line: key.line,
+    });
+  }
+
+  const graphs = childrenNamed(root, "graph");
+  if (graphs.length === 0) {
+    throw parseError(root.line, "<graphml> contains no <graph> element");
+  }
+  const graphElement = graphs[0];
+  const edgedefault = graphElement.attributes.edgedefault;
+  if (edgedefault !== undefined && edgedefault !== "directed" && edgedefault !== "undirected") {
+    throw parseError(graphElement.line, `edgedefault must be 'directed' or 'undirected', not '${edgedefault}'`);
+  }
+  const isDirected = edgedefault === "directed";
+
+  const appliesTo = (key, domain) => key.domain === domain || key.domain === "all";
+  // toGraphML writes main nodes and weights under the key ids 'main' and 'weight', so an
+  // attribute that merely shares the name stays an attribute. Files from other tools
+  // declare weights under any id, so a key named 'weight' is used when none has that id.
+  const mainKey = keys.has("main") && appliesTo(keys.get("main"), "node") ? "main" : null;
+  let weightKey = keys.has("weight") && appliesTo(keys.get("weight"), "edge") ? "weight" : null;
+  if (weightKey === null) {
+    for (const [id, key] of keys) {
+      if (key.name === "weight" && appliesTo(key, "edge")) {
+        weightKey = id;
+        break;
+      }
+    }
+  }
+  const readData = (element, domain, reservedKey) => {
+    const attributes = {};
+    let reserved;
+    const store = (id, key, text, line) => {
+      const value = parseValue(text, key.type, line);
+      if (id === reservedKey) {
+        reserved = value;
+      } else if (key.name !== undefined) {
+        attributes[key.name] = value;
+      }
+    };
+    for (const [id, key] of keys) {
+      if (appliesTo(key, domain) && key.defaultText !== undefined) {
+        store(id, key, key.defaultText, key.line);
+      }
+    }
+    for (const data of childrenNamed(element, "data")) {
+      const key = keys.get(data.attributes.key);
+      if (key === undefined) {
+        throw parseError(data.line, `<data> refers to undeclared key '${data.attributes.key}'`);
+      }
+      if (data.children.length > 0) continue;
+      store(data.attributes.key, key, data.text, data.line);
+    }
+    return { attributes, reserved };
+  };
+
+  const nodes = [];
+  const nodeLines = new Map();
+  for (const node of childrenNamed(graphElement, "node")) {
+    const id = node.attributes.id;
+    if (id === undefined) {
+      throw parseError(node.line, "<node> is missing its 'id' attribute");
+    }
+    if (nodeLines.has(id)) {
+      throw parseError(node.line, `node '${id}' is already defined at line ${nodeLines.get(id)}`);
+    }
+    nodeLines.set(id, node.line);
+    const { attributes, reserved } = readData(node, "node", mainKey);
+    nodes.push({ id, attributes, main: reserved });
+  }
+
+  const edges = [];
+  const pairs = new Set();
+  const isWeighted = weightKey !== null;
+  let isMulti = false;
+  let hasSelfLoops = false;
+  for (const edge of childrenNamed(graphElement, "edge")) {
+    const { id, source, target } = edge.attributes;
+    if (source === undefined || target === undefined) {
+      throw parseError(edge.line, "<edge> needs both 'source' and 'target' attributes");
+    }
+    for (const end of [source, target]) {
+      if (!nodeLines.has(end)) {
+        nodes.push({ id: end, attributes: {}, main: undefined });
+        nodeLines.set(end, edge.line);
+      }
+    }
+    const pair = isDirected || source < target ? `${source}\u0000${target}` : `${target}\u0000${source}`;
+    if (pairs.has(pair)) isMulti = true;
+    pairs.add(pair);
+    if (source === target) hasSelfLoops = true;
+    const { attributes, reserved } = readData(edge, "edge", weightKey);
+    edges.push({ id, source, target, line: edge.line, attributes, weight: reserved });
+  }
+
+  const graph = createGraph(isDirected, isWeighted, {
+    ...options,
+    multi: isMulti,
+    allowSelfLoops: hasSelfLoops,
+  })();
+
+  for (const { id, attributes, main } of nodes) {
+    graph.addNode(id, attributes);
+    if (main === true) {
+      graph.setMainNode(id);
+    }
+  }
+  for (const { id, source, target, line, attributes, weight } of edges) {
+    if (isWeighted && weight !== undefined && typeof weight !== "number") {
+      throw parseError(line, `edge weight '${weight}' is not a number`);
+    }
+    // Keep the stored edge ids, as fromJSON does
+    try {
+      graph.addEdge(source, target, weight, attributes, { id });
+    } catch (error) {
+      throw parseError(line, error.message);
+    }
+  }
+  return graph;
+}
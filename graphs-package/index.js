@@ -1,7 +1,12 @@
 "use strict";
 import Graph from "./Graph.js";
 import { createGraph } from "./Graph.js";
+import GraphView from "./GraphView.js";
+import BinaryHeap from "./BinaryHeap.js";
 import GraphVisualizer from "./GraphVisualizer.js";
+import { toGraphML, fromGraphML } from "./graphml.js";
+import { toDOT, fromDOT } from "./dot.js";
+import { fromEdgeListCSV, applyNodeListCSV, toEdgeListCSV, toNodeListCSV } from "./csv.js";
 
 // FIXED: Correct parameter combinations
 export const UndirectedUnweightedGraph = createGraph(false, false);
@@ -9,9 +14,25 @@ export const DirectedUnweightedGraph = createGraph(true, false);
 export const DirectedWeightedGraph = createGraph(true, true);
 export const UndirectedWeightedGraph = createGraph(false, true);
 
+export const UndirectedUnweightedMultiGraph = createGraph(false, false, { multi: true });
+export const DirectedUnweightedMultiGraph = createGraph(true, false, { multi: true });
+export const DirectedWeightedMultiGraph = createGraph(true, true, { multi: true });
+export const UndirectedWeightedMultiGraph = createGraph(false, true, { multi: true });
+
 // Export the base Graph class
 export { Graph };
 
+// Export read-only filtered views
+export { GraphView };
+
+// Export the priority queue used by the weighted algorithms
+export { BinaryHeap };
+
+// Export interchange formats
+export { toGraphML, fromGraphML };
+export { toDOT, fromDOT };
+export { fromEdgeListCSV, applyNodeListCSV, toEdgeListCSV, toNodeListCSV };
+
 // Export visualization functionality
 export { GraphVisualizer };
 
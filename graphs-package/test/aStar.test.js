@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DirectedWeightedGraph, UndirectedWeightedGraph } from "../index.js";
+import { mulberry32 } from "../bench/graphs.js";
+
+const EARTH_RADIUS_KM = 6371;
+
+function haversine(a, b) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Lower bound on each link's weight that keeps the named heuristic admissible
+const lengths = {
+  zero: () => 0,
+  euclidean: (a, b) => Math.hypot(a.x - b.x, a.y - b.y),
+  manhattan: (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y),
+  haversine,
+};
+
+function randomGraph(factory, random, length) {
+  const graph = factory();
+  const nodeCount = 30;
+  for (let i = 0; i < nodeCount; i++) {
+    graph.addNode(i, {
+      x: Math.floor(random() * 100),
+      y: Math.floor(random() * 100),
+      lat: 40 + random() * 10,
+      lng: -5 + random() * 10,
+    });
+  }
+  for (let i = 0; i < nodeCount * 3; i++) {
+    const a = Math.floor(random() * nodeCount);
+    const b = Math.floor(random() * nodeCount);
+    if (a === b) continue;
+    const base = length(graph.getNodeAttributes(a), graph.getNodeAttributes(b));
+    // Integer weights keep equal-cost routes from differing by rounding
+    graph.addLink(a, b, Math.ceil(base) + Math.floor(random() * 10));
+  }
+  return graph;
+}
+
+for (const [name, factory] of [
+  ["directed", DirectedWeightedGraph],
+  ["undirected", UndirectedWeightedGraph],
+]) {
+  for (const heuristic of Object.keys(lengths)) {
+    test(`aStar matches dijkstra on random ${name} graphs with the ${heuristic} heuristic`, () => {
+      const random = mulberry32(heuristic.length * 97 + name.length);
+      for (let round = 0; round < 20; round++) {
+        const graph = randomGraph(factory, random, lengths[heuristic]);
+        const options = heuristic === "zero" ? {} : { heuristic };
+        for (let query = 0; query < 10; query++) {
+          const start = Math.floor(random() * graph.order);
+          const goal = Math.floor(random() * graph.order);
+          const expected = graph.dijkstra(start, goal);
+          const result = graph.aStar(start, goal, options);
+          assert.equal(result.distance, expected.distance, `${start} -> ${goal}`);
+          if (result.distance !== Infinity) {
+            assert.equal(result.path[0], start);
+            assert.equal(result.path[result.path.length - 1], goal);
+          }
+        }
+      }
+    });
+  }
+}
+
+test("aStar rejects an unknown heuristic name", () => {
+  const graph = UndirectedWeightedGraph();
+  graph.addLink("a", "b", 1);
+  assert.throws(() => graph.aStar("a", "b", { heuristic: "chebyshev" }), /Unknown heuristic 'chebyshev'/);
+});
+
+test("aStar needs x/y attributes for the euclidean and manhattan heuristics", () => {
+  const graph = UndirectedWeightedGraph();
+  graph.addNode("a", { x: 0, y: 0 });
+  graph.addNode("b", { x: 1 });
+  graph.addLink("a", "b", 1);
+  for (const heuristic of ["euclidean", "manhattan"]) {
+    assert.throws(() => graph.aStar("a", "b", { heuristic }), { name: "TypeError", message: /x\/y/ });
+  }
+});
+
+test("aStar needs lat/lng attributes for the haversine heuristic", () => {
+  const graph = UndirectedWeightedGraph();
+  graph.addNode("a", { lat: 51.5, lng: -0.1 });
+  graph.addNode("b", { x: 1, y: 2 });
+  graph.addLink("a", "b", 1);
+  assert.throws(() => graph.aStar("a", "b", { heuristic: "haversine" }), { name: "TypeError", message: /lat\/lng/ });
+});
+
+test("aStar rejects a negative heuristic weight", () => {
+  const graph = UndirectedWeightedGraph();
+  graph.addLink("a", "b", 1);
+  assert.throws(() => graph.aStar("a", "b", { weight: -1 }), RangeError);
+});